@@ -0,0 +1,80 @@
+// Import administrative area boundaries from a GeoJSON FeatureCollection:
+//   node import-admin-areas.js areas.geojson
+// Each feature's properties: name, level (district|taluk|ward), parent (name of the district
+// for a taluk, of the taluk for a ward), district (for wards, when taluk names repeat across
+// districts), and optionally code and aliases. Existing areas are matched by level, parent
+// and name and updated in place, so re-importing a corrected file is safe. Run
+// migrate-geotags.js --all afterwards to place existing complaints in the new areas.
+const dns = require('dns');
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const AdminArea = require('./models/AdminArea');
+const { seedDistricts } = require('./utils/adminAreas');
+
+const LEVELS = AdminArea.schema.path('level').enumValues;
+
+async function findParent(props) {
+  if (props.level === 'district') return null;
+  const parentLevel = LEVELS[LEVELS.indexOf(props.level) - 1];
+  const filter = { level: parentLevel, name: props.parent };
+  if (parentLevel === 'taluk' && props.district) {
+    const district = await AdminArea.findOne({ level: 'district', name: props.district }).select('_id').lean();
+    if (!district) return null;
+    filter.district = district._id;
+  }
+  return AdminArea.findOne(filter).select('level district').lean();
+}
+
+async function importAreas(file) {
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const features = (collection.features || [])
+    .filter(f => LEVELS.includes(f.properties?.level) && f.properties?.name)
+    .sort((a, b) => LEVELS.indexOf(a.properties.level) - LEVELS.indexOf(b.properties.level));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await seedDistricts();
+
+  let imported = 0, skipped = 0;
+  for (const { properties: props, geometry } of features) {
+    const parent = await findParent(props);
+    if (props.level !== 'district' && !parent) {
+      console.warn(`Skipping ${props.level} ${props.name}: parent "${props.parent}" not found`);
+      skipped++;
+      continue;
+    }
+
+    const update = { name: props.name, level: props.level };
+    if (parent) {
+      update.parent = parent._id;
+      update.district = parent.district || parent._id;
+    }
+    if (props.code) update.code = props.code;
+    if (Array.isArray(props.aliases)) update.aliases = props.aliases;
+    if (geometry && ['Polygon', 'MultiPolygon'].includes(geometry.type)) update.boundary = geometry;
+
+    try {
+      await AdminArea.updateOne(
+        { level: props.level, parent: update.parent || null, name: props.name },
+        { $set: update },
+        { upsert: true }
+      );
+      imported++;
+    } catch (err) {
+      console.warn(`Skipping ${props.level} ${props.name}: ${err.message}`);
+      skipped++;
+    }
+  }
+
+  console.log('Areas imported:', imported);
+  console.log('Skipped:', skipped);
+  await mongoose.disconnect();
+  console.log('Done!');
+}
+
+if (!process.argv[2]) {
+  console.error('Usage: node import-admin-areas.js <file.geojson>');
+  process.exit(1);
+}
+importAreas(process.argv[2]).catch(console.error);
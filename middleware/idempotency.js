@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// ============================================================
+// IDEMPOTENCY — replay the stored response when a client retries with the same key
+// ============================================================
+const MAX_KEY_LENGTH = 255;
+// A "pending" key older than this belongs to a request that died mid-way and may be taken over
+const PENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+function hashRequest(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+// Multipart uploads: the files are part of the request too, so a retry with other files is a different request
+function fileDigests(files) {
+  const digests = {};
+  for (const [field, list] of Object.entries(files)) {
+    digests[field] = list.map(f => crypto.createHash('sha256').update(f.buffer).digest('hex'));
+  }
+  return digests;
+}
+
+/**
+ * Claim an idempotency key before doing the work. Resolves to one of
+ *   { record }                  — claimed; call completeKey(record, ...) with the outcome
+ *   { replay: { status, body } } — already done; send the stored response again
+ *   { conflict: { status, message } } — in progress, or reused for a different request
+ */
+async function claimKey({ userId, scope, key, requestHash }) {
+  try {
+    const record = await IdempotencyKey.create({ userId, scope, key, requestHash });
+    return { record };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, scope, key });
+  if (!existing) return claimKey({ userId, scope, key, requestHash }); // expired in between
+
+  if (existing.requestHash !== requestHash) {
+    return { conflict: { status: 422, message: 'This Idempotency-Key was already used for a different request' } };
+  }
+  if (existing.status === 'completed') {
+    return { replay: { status: existing.responseStatus, body: existing.responseBody } };
+  }
+
+  const staleBefore = new Date(Date.now() - PENDING_TIMEOUT_MS);
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: existing._id, status: 'pending', updatedAt: { $lt: staleBefore } },
+    { $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver };
+
+  return { conflict: { status: 409, message: 'A request with this Idempotency-Key is still being processed' } };
+}
+
+// Store the outcome for replay. Server errors release the key so the client can retry for real.
+async function completeKey(record, status, body) {
+  if (status >= 500) {
+    await IdempotencyKey.deleteOne({ _id: record._id });
+    return;
+  }
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    { $set: { status: 'completed', responseStatus: status, responseBody: body, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Honour an optional Idempotency-Key header on a route. `scope` names the operation
+ * (keys are per user and scope); the route params and body must match on retry.
+ * Use after auth() — keys belong to req.user — and after any upload middleware.
+ */
+const idempotency = (scope) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    try {
+      const claim = await claimKey({
+        userId: req.user.id,
+        scope,
+        key,
+        requestHash: hashRequest(req.files
+          ? { params: req.params, body: req.body, files: fileDigests(req.files) }
+          : { params: req.params, body: req.body })
+      });
+
+      if (claim.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.replay.status).json(claim.replay.body);
+      }
+      if (claim.conflict) {
+        return res.status(claim.conflict.status).json({ message: claim.conflict.message });
+      }
+
+      // Capture whatever the route responds with
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        completeKey(claim.record, res.statusCode, body)
+          .catch(err => console.error('[Idempotency] Failed to store response:', err.message));
+        return json(body);
+      };
+      next();
+    } catch (err) {
+      console.error('[Idempotency] Error:', err.message);
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
+module.exports = idempotency;
+module.exports.hashRequest = hashRequest;
+module.exports.claimKey = claimKey;
+module.exports.completeKey = completeKey;
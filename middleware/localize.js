@@ -0,0 +1,21 @@
+const { resolveLanguage, translateMessage, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+// Pick the response language from Accept-Language (req.lang) and translate the
+// `message` of JSON responses. Everything else in the body is left as-is.
+const localize = (req, res, next) => {
+  req.lang = resolveLanguage(req.get('Accept-Language'));
+  res.vary('Accept-Language');
+  res.set('Content-Language', req.lang);
+  if (req.lang === DEFAULT_LANGUAGE) return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body.message === 'string') {
+      body = { ...body, message: translateMessage(body.message, req.lang) };
+    }
+    return json(body);
+  };
+  next();
+};
+
+module.exports = localize;
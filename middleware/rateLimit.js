@@ -0,0 +1,37 @@
+// In-memory fixed-window rate limiter keyed by client IP (cleared on server restart)
+const rateLimit = ({ windowMs = 60 * 1000, max = 30, message = 'Too many requests, please try again later.' } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ message });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,80 @@
+const multer = require('multer');
+const { MEDIA_LIMITS } = require('../utils/media');
+
+// ============================================================
+// COMPLAINT UPLOADS — multipart/form-data with photos, a voice note and a video clip
+// ============================================================
+// Files are kept in memory: each is sniffed and checked (utils/media.js) before anything is stored.
+const FIELD_LIMITS = {
+  photos: MEDIA_LIMITS.photoBytes,
+  voiceNote: MEDIA_LIMITS.voiceBytes,
+  video: MEDIA_LIMITS.videoBytes
+};
+
+// Memory storage that stops reading a file as soon as it passes its field's limit, so a
+// photo cannot take up as much memory as a video before being rejected
+const limitedMemoryStorage = {
+  _handleFile(req, file, cb) {
+    const maxBytes = FIELD_LIMITS[file.fieldname];
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        file.stream.removeListener('data', onData).removeListener('end', onEnd);
+        file.stream.resume();
+        return cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      }
+      chunks.push(chunk);
+    };
+    const onEnd = () => cb(null, { buffer: Buffer.concat(chunks, size), size });
+
+    file.stream.on('data', onData).on('end', onEnd).once('error', cb);
+  },
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const complaintUpload = multer({
+  storage: limitedMemoryStorage,
+  limits: {
+    fileSize: Math.max(MEDIA_LIMITS.photoBytes, MEDIA_LIMITS.voiceBytes, MEDIA_LIMITS.videoBytes),
+    files: MEDIA_LIMITS.photos + 2,
+    fields: 20
+  }
+}).fields([
+  { name: 'photos', maxCount: MEDIA_LIMITS.photos },
+  { name: 'voiceNote', maxCount: 1 },
+  { name: 'video', maxCount: 1 }
+]);
+
+const FIELD_LABELS = { photos: 'Each photo', voiceNote: 'The voice note', video: 'The video' };
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: 'An attached file is too large',
+  LIMIT_FILE_COUNT: 'Too many files attached',
+  LIMIT_UNEXPECTED_FILE: `Unexpected file field. Use photos (up to ${MEDIA_LIMITS.photos}), voiceNote and video.`
+};
+
+// JSON requests pass straight through; multer errors become 400s instead of a generic 500
+const uploadComplaintMedia = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  complaintUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE' && FIELD_LIMITS[err.field]) {
+        const mb = Math.round(FIELD_LIMITS[err.field] / 1024 / 1024);
+        return res.status(400).json({ message: `${FIELD_LABELS[err.field]} must be at most ${mb} MB` });
+      }
+      return res.status(400).json({ message: UPLOAD_ERROR_MESSAGES[err.code] || err.message });
+    }
+    console.error('[Upload] Error:', err.message);
+    res.status(400).json({ message: 'Could not read the upload' });
+  });
+};
+
+module.exports = { uploadComplaintMedia };
@@ -0,0 +1,42 @@
+// One-off migration: fill in the district, geohash and administrative areas used by the
+// analytics endpoints on complaints registered before they were recorded. Safe to re-run.
+// Pass --all to resolve every complaint again, e.g. after importing new area boundaries.
+const dns = require('dns');
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { geoTags } = require('./utils/geo');
+const { seedDistricts, resolveAdminAreas, complaintAreaFields } = require('./utils/adminAreas');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await seedDistricts();
+  const complaints = mongoose.connection.db.collection('complaints');
+
+  const filter = process.argv.includes('--all')
+    ? {}
+    : { $or: [{ district: { $exists: false } }, { geohash: { $exists: false } }, { adminArea: { $exists: false } }] };
+  const cursor = complaints.find(filter, { projection: { area: 1, address: 1, location: 1 } });
+
+  let updated = 0, withDistrict = 0, withGeohash = 0, withWard = 0;
+  for await (const doc of cursor) {
+    const point = doc.location?.coordinates?.length === 2 ? doc.location : null;
+    const tags = geoTags(doc.area, doc.address, point);
+    const areas = await resolveAdminAreas({ point, text: `${doc.area || ''} ${doc.address || ''}` });
+    const { adminArea, district = tags.district } = complaintAreaFields(areas);
+    await complaints.updateOne({ _id: doc._id }, { $set: { district, geohash: tags.geohash, adminArea } });
+    updated++;
+    if (district) withDistrict++;
+    if (tags.geohash) withGeohash++;
+    if (adminArea.ward) withWard++;
+  }
+  console.log('Complaints updated:', updated);
+  console.log('  with a district:', withDistrict);
+  console.log('  with a geohash:', withGeohash);
+  console.log('  with a ward:', withWard);
+
+  await mongoose.disconnect();
+  console.log('Done!');
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,41 @@
+// One-off migration: convert legacy { latitude, longitude } locations to GeoJSON points.
+// Run this BEFORE starting the server on a database with legacy records — the 2dsphere
+// index on Complaint.location cannot be built while old-style locations exist.
+const dns = require('dns');
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { toPoint } = require('./utils/geo');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const complaints = mongoose.connection.db.collection('complaints');
+
+  const cursor = complaints.find(
+    { 'location.latitude': { $exists: true } },
+    { projection: { ticketId: 1, location: 1 } }
+  );
+
+  let converted = 0, cleared = 0;
+  for await (const doc of cursor) {
+    const point = toPoint(doc.location.latitude, doc.location.longitude);
+    if (point) {
+      await complaints.updateOne({ _id: doc._id }, { $set: { location: point } });
+      converted++;
+    } else {
+      await complaints.updateOne({ _id: doc._id }, { $unset: { location: '' } });
+      cleared++;
+      console.log(`Removed invalid location on ${doc.ticketId}`);
+    }
+  }
+  console.log('Converted locations:', converted);
+  console.log('Removed invalid locations:', cleared);
+
+  await complaints.createIndex({ location: '2dsphere' });
+  console.log('2dsphere index ready');
+
+  await mongoose.disconnect();
+  console.log('Done!');
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,48 @@
+// One-off migration: move base64 photos stored inside complaint documents into the file store
+// Usage: node migrate-photos.js [--dry-run]
+const dns = require('dns');
+dns.setServers(['8.8.8.8', '8.8.4.4']);
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { saveImage, isInlineImage } = require('./utils/storage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const complaints = mongoose.connection.db.collection('complaints');
+
+  // Raw driver access: legacy documents don't pass the current schema's expectations
+  const cursor = complaints.find({ photoFile: { $exists: false } }, { projection: { ticketId: 1, photo: 1 } });
+
+  let migrated = 0, skipped = 0, failed = 0;
+  for await (const doc of cursor) {
+    if (!isInlineImage(doc.photo)) {
+      skipped++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`[dry-run] Would migrate ${doc.ticketId} (${Math.round(doc.photo.length / 1024)} KB)`);
+      migrated++;
+      continue;
+    }
+    try {
+      const photoFile = await saveImage(doc.photo, { folder: 'complaints' });
+      await complaints.updateOne(
+        { _id: doc._id },
+        { $set: { photo: photoFile.url, photoThumbnail: photoFile.thumbnailUrl, photoFile } }
+      );
+      migrated++;
+      console.log(`Migrated ${doc.ticketId} → ${photoFile.url}`);
+    } catch (err) {
+      failed++;
+      console.error(`Failed to migrate ${doc.ticketId}:`, err.message);
+    }
+  }
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}Migrated: ${migrated}, skipped: ${skipped}, failed: ${failed}`);
+  await mongoose.disconnect();
+  console.log('Done!');
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Administrative areas complaints are placed in: district → taluk / zone → ward.
+// Boundaries are optional; areas without one are only matched by name (utils/adminAreas.js).
+const adminAreaSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  level: { type: String, enum: ['district', 'taluk', 'ward'], required: true },
+  code: { type: String, trim: true, uppercase: true }, // Districts: the short code also used in ticket IDs (CHN)
+  // The area one level up; the district is kept on taluks and wards too so filters need no joins
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminArea' },
+  district: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminArea' },
+  // Other spellings found in addresses ("Trichy" for Tiruchirappalli)
+  aliases: [{ type: String, trim: true }],
+  // GeoJSON Polygon or MultiPolygon, [longitude, latitude] order
+  boundary: {
+    type: { type: String, enum: ['Polygon', 'MultiPolygon'] },
+    coordinates: { type: Array, default: undefined }
+  },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+adminAreaSchema.index({ level: 1, parent: 1, name: 1 }, { unique: true });
+adminAreaSchema.index({ district: 1, level: 1 });
+adminAreaSchema.index({ boundary: '2dsphere' }, { sparse: true });
+
+module.exports = mongoose.model('AdminArea', adminAreaSchema);
+
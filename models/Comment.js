@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const storedFileSchema = require('./storedFile');
+
+// Comment thread between the citizen, the assigned provider and management on a complaint
+const commentSchema = new mongoose.Schema({
+  complaintId: { type: mongoose.Schema.Types.ObjectId, ref: 'Complaint', required: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: { type: String, required: true },
+  authorRole: { type: String, required: true, enum: ['user', 'provider', 'management'] },
+  text: { type: String, default: '', maxlength: 2000 },
+  attachments: [storedFileSchema], // Images, stored via utils/storage.js
+  internal: { type: Boolean, default: false }, // Staff-only note — never shown to the citizen
+  createdAt: { type: Date, default: Date.now }
+});
+
+commentSchema.index({ complaintId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
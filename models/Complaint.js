@@ -1,4 +1,24 @@
 const mongoose = require('mongoose');
+const storedFileSchema = require('./storedFile');
+const { isDepartment } = require('../utils/departments');
+
+// Photo stored against a status history entry — provider proof of work, or the citizen's reopen evidence
+const proofPhotoSchema = storedFileSchema.clone().add({
+  kind: { type: String, enum: ['before', 'after', 'reopen'], required: true },
+  // Plausibility check via detectDepartmentFromImage
+  detectedDepartment: { type: String },
+  confidence: { type: Number },
+  plausible: { type: Boolean, default: true },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+// Media the citizen sent with the complaint beyond the main photo
+const attachmentSchema = storedFileSchema.clone().add({
+  kind: { type: String, enum: ['photo', 'voice', 'video'], required: true },
+  duration: { type: Number }, // Seconds, for voice notes and video clips
+  originalName: { type: String },
+  uploadedAt: { type: Date, default: Date.now }
+});
 
 const complaintSchema = new mongoose.Schema({
   ticketId: { type: String, required: true, unique: true },
@@ -7,28 +27,24 @@ const complaintSchema = new mongoose.Schema({
   userEmail: { type: String, required: true },
   area: { type: String, required: true },
   address: { type: String }, // Full reverse-geocoded address from GPS
-  department: { 
-    type: String, 
+  // One of the registered departments (utils/departments.js)
+  department: {
+    type: String,
     required: true,
-    enum: [
-      'Water Resources',
-      'Electricity',
-      'Roads & Highways',
-      'Sanitation',
-      'Public Health',
-      'Education',
-      'Transport',
-      'Revenue',
-      'Agriculture',
-      'General'
-    ]
+    validate: {
+      validator: name => isDepartment(name, { includeInactive: true }),
+      message: props => `Unknown department: ${props.value}`
+    }
   },
   description: { type: String, required: true },
-  photo: { type: String, required: true }, // base64 image data
+  photo: { type: String, required: true }, // URL of the stored photo (unmigrated legacy records hold base64)
+  photoThumbnail: { type: String }, // URL of the generated thumbnail, for listings
+  photoFile: storedFileSchema, // Storage reference for photo + thumbnail
+  attachments: [attachmentSchema], // Extra photos, voice note, video clip
   status: { 
     type: String, 
     default: 'Registered',
-    enum: ['Registered', 'Accepted', 'Working On', 'Completed', 'Rejected']
+    enum: ['Registered', 'Accepted', 'Working On', 'Completed', 'Rejected', 'Reopened', 'Merged', 'Withdrawn']
   },
   // Status timeline history (like Amazon order tracking)
   statusHistory: [{
@@ -36,7 +52,11 @@ const complaintSchema = new mongoose.Schema({
     timestamp: { type: Date, default: Date.now },
     updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     updatedByName: { type: String },
-    note: { type: String }
+    note: { type: String },
+    photos: [proofPhotoSchema],
+    // Reopen entries keep the rating given before the complaint was reopened
+    previousRating: { type: Number },
+    previousFeedback: { type: String }
   }],
   priority: {
     type: String,
@@ -45,24 +65,123 @@ const complaintSchema = new mongoose.Schema({
   },
   assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   assignedToName: { type: String }, // Provider name for quick display
+  // Every assignment the complaint has had, oldest first (utils/workflow.js assignComplaint)
+  assignmentHistory: [{
+    providerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset when nobody was available
+    providerName: { type: String },
+    method: { type: String, enum: ['auto', 'claim', 'management', 'transfer', 'handback'], required: true },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assignedByName: { type: String },
+    reason: { type: String },
+    assignedAt: { type: Date, default: Date.now }
+  }],
+  // How the department was chosen at registration — kept so misrouting can be reported per source
+  departmentDetection: {
+    source: { type: String }, // 'citizen', or the vision source: 'google-vision', 'openrouter-vision', 'keyword-mapping', 'fallback'
+    department: { type: String },
+    confidence: { type: Number }
+  },
+  // Pending move to another department, proposed by a provider
+  departmentChangeRequest: {
+    fromDepartment: { type: String },
+    toDepartment: { type: String },
+    reason: { type: String },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedByName: { type: String },
+    requestedAt: { type: Date }
+  },
+  // Every department change, oldest first
+  departmentHistory: [{
+    fromDepartment: { type: String, required: true },
+    toDepartment: { type: String, required: true },
+    via: { type: String, enum: ['citizen', 'provider-request', 'management'], required: true },
+    reason: { type: String },
+    requestedByName: { type: String },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedByName: { type: String },
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Pending provider-to-provider transfer, cleared once the colleague accepts or declines
+  transferRequest: {
+    fromId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    fromName: { type: String },
+    toId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    toName: { type: String },
+    reason: { type: String },
+    requestedAt: { type: Date }
+  },
   resolution: { type: String },
 
-  // Location - captured when photo is taken
+  // SLA due dates — stamped at creation from department × priority targets (utils/sla.js)
+  sla: {
+    acceptBy: { type: Date },
+    completeBy: { type: Date },
+    acceptBreachedAt: { type: Date },
+    completeBreachedAt: { type: Date }
+  },
+
+  // Location - captured when photo is taken, stored as a GeoJSON point [longitude, latitude]
   location: {
-    latitude: { type: Number },
-    longitude: { type: Number }
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
   },
+  district: { type: String }, // Name of the district the complaint is in, for analytics
+  // Administrative areas the complaint falls in, resolved at registration (utils/adminAreas.js)
+  adminArea: {
+    district: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminArea' },
+    taluk: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminArea' },
+    ward: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminArea' }
+  },
+  geohash: { type: String }, // Of `location`; prefixes give coarser analytics cells
 
   // Rating & Feedback from user after completion
   rating: { type: Number, min: 1, max: 5 },
   feedback: { type: String },
+  reopenCount: { type: Number, default: 0 },
+
+  // Public tracking (GET /api/public/track/:ticketId)
+  trackingCode: { type: String, select: false }, // Short verification code printed in the registration email
+  publicSharing: {
+    photo: { type: Boolean, default: false }, // Citizen opted in to showing the photo publicly
+    contact: { type: Boolean, default: false } // Citizen opted in to showing their name/email/phone publicly
+  },
 
   // Duplicate/Fake detection flags
   isDuplicate: { type: Boolean, default: false },
   duplicateOf: { type: String }, // ticketId of original complaint
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Complaint' }, // Parent ticket while status is 'Merged'
+
+  // Citizens following this complaint receive every status email for it —
+  // owners of duplicates merged into it, and citizens who endorsed it ("me too")
+  followers: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String },
+    email: { type: String, required: true },
+    via: { type: String, enum: ['duplicate', 'endorsement'], required: true },
+    ticketId: { type: String }, // The duplicate ticket that was merged in
+    addedAt: { type: Date, default: Date.now }
+  }],
+  endorsementCount: { type: Number, default: 0 }, // Followers count towards priority
   isFake: { type: Boolean, default: false },
   aiRemarks: { type: String }, // AI analysis remarks
+  // What the AI decided at registration (or the citizen's last edit), kept as-is when humans override it
+  aiDecision: {
+    priority: { type: String },
+    isDuplicate: { type: Boolean },
+    duplicateOf: { type: String }
+  },
+  // Management corrections of AI decisions or the normal workflow — each one justified
+  overrides: [{
+    kind: { type: String, enum: ['priority', 'duplicate', 'status'], required: true },
+    from: { type: String },
+    to: { type: String },
+    note: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    byName: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
 
+  capturedAt: { type: Date }, // When the photo was taken, for complaints synced later from the offline queue
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -75,6 +194,24 @@ complaintSchema.index({ userId: 1 });
 complaintSchema.index({ priority: 1 });
 complaintSchema.index({ department: 1, status: 1 });
 complaintSchema.index({ assignedTo: 1, status: 1 });
+complaintSchema.index({ 'transferRequest.toId': 1 });
+complaintSchema.index({ 'departmentChangeRequest.toDepartment': 1 });
+complaintSchema.index({ 'overrides.kind': 1 });
 complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ location: '2dsphere' });
+complaintSchema.index({ district: 1 });
+complaintSchema.index({ 'adminArea.district': 1, createdAt: -1 });
+complaintSchema.index({ 'adminArea.taluk': 1, createdAt: -1 });
+complaintSchema.index({ 'adminArea.ward': 1, createdAt: -1 });
+complaintSchema.index({ geohash: 1, createdAt: -1 });
+complaintSchema.index({ mergedInto: 1 });
+complaintSchema.index({ updatedAt: -1 });
+// Full-text search for management ("transformer Adyar")
+complaintSchema.index(
+  { description: 'text', address: 'text', ticketId: 'text', userName: 'text' },
+  { name: 'complaint_text_search', weights: { ticketId: 10, userName: 5, address: 3, description: 1 } }
+);
+complaintSchema.index({ status: 1, 'sla.acceptBy': 1 });
+complaintSchema.index({ status: 1, 'sla.completeBy': 1 });
 
 module.exports = mongoose.model('Complaint', complaintSchema);
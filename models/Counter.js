@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically with $inc (e.g. "ticket:CHN:2026" for ticket IDs)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+module.exports = mongoose.model('Counter', counterSchema);
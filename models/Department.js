@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Hours allowed for one priority; either may be left unset to keep the default
+const slaTargetSchema = new mongoose.Schema({
+  accept: { type: Number, min: 0 },
+  complete: { type: Number, min: 0 }
+}, { _id: false });
+
+// Departments complaints are routed to. Cached in memory by utils/departments.js.
+const departmentSchema = new mongoose.Schema({
+  // Stored on complaints and provider accounts, so it cannot be changed once created
+  name: { type: String, required: true, unique: true, trim: true, immutable: true },
+  displayName: {
+    en: { type: String, trim: true },
+    ta: { type: String, trim: true }
+  },
+  // Image labels that point at this department (utils/vision.js), and how much a match counts
+  visionKeywords: [{ type: String, lowercase: true, trim: true }],
+  visionWeight: { type: Number, default: 1, min: 0 },
+  // Added to the Critical score (half to High) by the local priority fallback (utils/gemini.js)
+  priorityBoost: { type: Number, default: 0, min: 0 },
+  // Per-priority SLA hours overriding DEFAULT_SLA_HOURS (utils/sla.js)
+  sla: {
+    Critical: slaTargetSchema,
+    High: slaTargetSchema,
+    Medium: slaTargetSchema,
+    Low: slaTargetSchema
+  },
+  // Also notified of SLA breaches and of proposed moves into the department
+  contactEmails: [{ type: String, lowercase: true, trim: true }],
+  // Inactive departments take no new complaints or providers; existing ones are untouched
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+
+// A client-supplied Idempotency-Key and the response it produced, replayed when the
+// client retries the same request (flaky mobile connections). Expires after TTL_HOURS.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scope: { type: String, required: true }, // e.g. 'complaint:create', 'complaint:rate'
+  requestHash: { type: String, required: true }, // The same key with a different body is refused
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: TTL_HOURS * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
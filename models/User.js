@@ -10,6 +10,8 @@ const userSchema = new mongoose.Schema({
   otpExpiry: { type: Date },
   role: { type: String, default: 'user', enum: ['user', 'provider', 'management', 'USER', 'PROVIDER', 'MANAGEMENT'] },
   department: { type: String }, // For service providers
+  language: { type: String, enum: ['en', 'ta'], default: 'en' }, // Emails are sent in this language
+  reopenCount: { type: Number, default: 0 }, // For service providers: completed complaints reopened by citizens
   createdAt: { type: Date, default: Date.now },
   lastLogin: { type: Date },
   loginCount: { type: Number, default: 0 }
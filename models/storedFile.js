@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Reference to a file written through utils/storage.js (embedded, not a model of its own)
+const storedFileSchema = new mongoose.Schema({
+  backend: { type: String, enum: ['local', 's3'] },
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  thumbnailKey: { type: String },
+  thumbnailUrl: { type: String },
+  contentType: { type: String },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
+
+module.exports = storedFileSchema;
@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AdminArea = require('../models/AdminArea');
+const Complaint = require('../models/Complaint');
+const auth = require('../middleware/auth');
+const { toPoint } = require('../utils/geo');
+const { resolveAdminAreas } = require('../utils/adminAreas');
+
+const router = express.Router();
+
+const LEVELS = AdminArea.schema.path('level').enumValues;
+const BOUNDARY_TYPES = ['Polygon', 'MultiPolygon'];
+// MongoDB's error for a polygon it cannot index (self-intersecting, unclosed ring, ...)
+const INVALID_GEOMETRY_CODE = 16755;
+
+// Accepts a GeoJSON geometry or a Feature wrapping one; null removes the boundary
+function parseBoundary(value) {
+  if (value === null) return { boundary: undefined };
+  const geometry = value?.type === 'Feature' ? value.geometry : value;
+  if (!geometry || !BOUNDARY_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return { error: 'boundary must be a GeoJSON Polygon or MultiPolygon' };
+  }
+  return { boundary: { type: geometry.type, coordinates: geometry.coordinates } };
+}
+
+function parseAliases(value) {
+  if (!Array.isArray(value) || value.some(a => typeof a !== 'string')) return null;
+  return [...new Set(value.map(a => a.trim()).filter(Boolean))];
+}
+
+// GET administrative areas — no auth, for filter pickers and open-data users
+// level=district|taluk|ward, parentId, districtId; boundary=true to include the polygons
+router.get('/', async (req, res) => {
+  try {
+    const filter = { active: true };
+    if (req.query.level) filter.level = req.query.level;
+    for (const [param, field] of [['parentId', 'parent'], ['districtId', 'district']]) {
+      if (!req.query[param]) continue;
+      if (!mongoose.isValidObjectId(req.query[param])) return res.json([]);
+      filter[field] = req.query[param];
+    }
+
+    const areas = await AdminArea.find(filter)
+      .select(req.query.boundary === 'true' ? '-__v' : '-boundary -__v')
+      .sort({ name: 1 })
+      .lean();
+    res.json(areas);
+  } catch (error) {
+    console.error('Admin area list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// RESOLVE a GPS position to its district / taluk / ward — ?lat=&lng=
+router.get('/resolve', auth(), async (req, res) => {
+  try {
+    const point = toPoint(req.query.lat, req.query.lng);
+    if (!point) {
+      return res.status(400).json({ message: 'Valid lat and lng query parameters are required' });
+    }
+    res.json(await resolveAdminAreas({ point }));
+  } catch (error) {
+    console.error('Admin area resolve error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET one area with its boundary
+router.get('/:id', async (req, res) => {
+  try {
+    const area = mongoose.isValidObjectId(req.params.id) ? await AdminArea.findById(req.params.id).select('-__v').lean() : null;
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+    res.json(area);
+  } catch (error) {
+    console.error('Admin area error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// CREATE an area (Management) — body: { name, level, parentId, code, aliases, boundary }
+// Taluks go under a district, wards under a taluk
+router.post('/', auth(['management']), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { level, parentId, code } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: 'Area name is required' });
+    }
+    if (!LEVELS.includes(level)) {
+      return res.status(400).json({ message: `level must be one of: ${LEVELS.join(', ')}` });
+    }
+
+    const area = { name, level };
+    if (level !== 'district') {
+      const parent = mongoose.isValidObjectId(parentId) ? await AdminArea.findById(parentId).select('name level district').lean() : null;
+      const parentLevel = LEVELS[LEVELS.indexOf(level) - 1];
+      if (!parent || parent.level !== parentLevel) {
+        return res.status(400).json({ message: `A ${level} needs a parent ${parentLevel}` });
+      }
+      area.parent = parent._id;
+      area.district = parent.district || parent._id;
+    }
+    if (code !== undefined) area.code = String(code);
+    if (req.body.aliases !== undefined) {
+      area.aliases = parseAliases(req.body.aliases);
+      if (!area.aliases) return res.status(400).json({ message: 'aliases must be a list of names' });
+    }
+    if (req.body.boundary !== undefined) {
+      const { boundary, error } = parseBoundary(req.body.boundary);
+      if (error) return res.status(400).json({ message: error });
+      area.boundary = boundary;
+    }
+
+    const existing = await AdminArea.findOne({ level, parent: area.parent || null, name }).lean();
+    if (existing) {
+      return res.status(400).json({ message: `${name} already exists at this level` });
+    }
+
+    const created = await AdminArea.create(area);
+    console.log(`[AdminAreas] ${level} ${name} created by ${req.user.email}`);
+    res.status(201).json({ message: `${name} created`, area: created });
+  } catch (error) {
+    if (error.code === INVALID_GEOMETRY_CODE) {
+      return res.status(400).json({ message: 'The boundary is not a valid polygon' });
+    }
+    console.error('Create admin area error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UPDATE an area (Management) — body: { name, code, aliases, boundary (null removes it), active }
+// Level and parent are fixed; complaints keep the areas they were resolved to
+router.put('/:id', auth(['management']), async (req, res) => {
+  try {
+    const area = mongoose.isValidObjectId(req.params.id) ? await AdminArea.findById(req.params.id) : null;
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name) return res.status(400).json({ message: 'Area name is required' });
+      area.name = name;
+    }
+    if (req.body.code !== undefined) area.code = req.body.code === null ? undefined : String(req.body.code);
+    if (req.body.aliases !== undefined) {
+      const aliases = parseAliases(req.body.aliases);
+      if (!aliases) return res.status(400).json({ message: 'aliases must be a list of names' });
+      area.aliases = aliases;
+    }
+    if (req.body.boundary !== undefined) {
+      const { boundary, error } = parseBoundary(req.body.boundary);
+      if (error) return res.status(400).json({ message: error });
+      area.boundary = boundary;
+    }
+    if (req.body.active !== undefined) {
+      if (typeof req.body.active !== 'boolean') return res.status(400).json({ message: 'active must be true or false' });
+      area.active = req.body.active;
+    }
+
+    await area.save();
+    console.log(`[AdminAreas] ${area.level} ${area.name} updated by ${req.user.email}`);
+    res.json({ message: `${area.name} updated`, area });
+  } catch (error) {
+    if (error.code === INVALID_GEOMETRY_CODE) {
+      return res.status(400).json({ message: 'The boundary is not a valid polygon' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Another area at this level already has that name' });
+    }
+    console.error('Update admin area error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE an area with no sub-areas and no complaints (Management); others can be deactivated
+router.delete('/:id', auth(['management']), async (req, res) => {
+  try {
+    const area = mongoose.isValidObjectId(req.params.id) ? await AdminArea.findById(req.params.id).lean() : null;
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    const [children, complaints] = await Promise.all([
+      AdminArea.countDocuments({ parent: area._id }),
+      Complaint.countDocuments({ [`adminArea.${area.level}`]: area._id })
+    ]);
+    if (children || complaints) {
+      return res.status(400).json({
+        message: `${area.name} has ${children} sub-area(s) and ${complaints} complaint(s). Deactivate it instead.`
+      });
+    }
+
+    await AdminArea.deleteOne({ _id: area._id });
+    console.log(`[AdminAreas] ${area.level} ${area.name} removed by ${req.user.email}`);
+    res.json({ message: `${area.name} removed` });
+  } catch (error) {
+    console.error('Delete admin area error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
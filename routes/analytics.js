@@ -0,0 +1,99 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { buildHeatmap, findRecurringHotspots, buildTrends } = require('../utils/analytics');
+const { buildScorecards } = require('../utils/scorecards');
+
+const router = express.Router();
+
+// GET complaint heatmap (Management) — GeoJSON FeatureCollection, one feature per bucket
+// groupBy=district|geohash|grid, precision (geohash length), cellSize (grid degrees);
+// filters: department, status, priority, district, districtId, talukId, wardId, from, to, q
+router.get('/heatmap', auth(['management']), async (req, res) => {
+  try {
+    res.type('application/geo+json').json(await buildHeatmap(req.query));
+  } catch (error) {
+    console.error('Heatmap error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET recurring hotspots (Management) — places that keep generating complaints
+// days, minComplaints, minWeeks, radius (meters), department, districtId, talukId, wardId, limit (max 50)
+router.get('/hotspots', auth(['management']), async (req, res) => {
+  try {
+    const number = (value, min, max) => {
+      const n = parseInt(value, 10);
+      return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : undefined;
+    };
+    const hotspots = await findRecurringHotspots({
+      days: number(req.query.days, 1, 365),
+      minComplaints: number(req.query.minComplaints, 2, 1000),
+      minWeeks: number(req.query.minWeeks, 1, 52),
+      radius: number(req.query.radius, 20, 5000),
+      department: req.query.department || undefined,
+      districtId: req.query.districtId,
+      talukId: req.query.talukId,
+      wardId: req.query.wardId,
+      limit: number(req.query.limit, 1, 50)
+    });
+
+    res.json({
+      type: 'FeatureCollection',
+      features: hotspots.map(({ location, ...properties }) => ({ type: 'Feature', geometry: location, properties }))
+    });
+  } catch (error) {
+    console.error('Hotspots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET complaint trends (Management) — created / accepted / completed / rejected per bucket,
+// median and p90 time-to-accept and time-to-complete, week-over-week change and surging departments
+// interval=day|week|month, from, to; filters: department, district, priority, districtId, talukId, wardId
+router.get('/trends', auth(['management']), async (req, res) => {
+  try {
+    if (req.query.interval && !['day', 'week', 'month'].includes(req.query.interval)) {
+      return res.status(400).json({ message: 'interval must be day, week or month' });
+    }
+    res.json(await buildTrends(req.query));
+  } catch (error) {
+    console.error('Trends error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET provider scorecards (Management) — every provider, ranked within their department
+// department, from, to (default: the last 90 days); districtId, talukId, wardId count only work in that area
+router.get('/scorecards', auth(['management']), async (req, res) => {
+  try {
+    const { department, from, to, districtId, talukId, wardId } = req.query;
+    res.json(await buildScorecards({ department, from, to, districtId, talukId, wardId }));
+  } catch (error) {
+    console.error('Scorecards error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET one provider's scorecard (Management)
+router.get('/scorecards/:providerId', auth(['management']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.providerId)) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+    const provider = await User.findOne({ _id: req.params.providerId, role: 'provider' }).select('department').lean();
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    // Scored against the whole department so the rank is meaningful
+    const { from, to, scorecards } = await buildScorecards({ department: provider.department, from: req.query.from, to: req.query.to });
+    res.json({ from, to, ...scorecards.find(card => String(card.providerId) === req.params.providerId) });
+  } catch (error) {
+    console.error('Scorecard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
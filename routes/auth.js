@@ -2,7 +2,9 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const auth = require('../middleware/auth');
 const { sendOTP } = require('../utils/mailer');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -13,6 +15,8 @@ const generateOTP = () => Math.floor(1000 + Math.random() * 9000).toString();
 router.post('/signup', async (req, res) => {
   try {
     const { name, email, password, phone } = req.body;
+    // Explicit choice on the form, otherwise the language the app is being used in
+    const language = SUPPORTED_LANGUAGES.includes(req.body.language) ? req.body.language : req.lang;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -32,6 +36,7 @@ router.post('/signup', async (req, res) => {
       existingUser.name = name;
       existingUser.password = hashedPassword;
       existingUser.phone = phone;
+      existingUser.language = language;
       existingUser.otp = otp;
       existingUser.otpExpiry = otpExpiry;
       await existingUser.save();
@@ -44,6 +49,7 @@ router.post('/signup', async (req, res) => {
         phone,
         otp,
         otpExpiry,
+        language,
         role: 'user'
       });
       await user.save();
@@ -155,7 +161,8 @@ router.post('/login', async (req, res) => {
         name: user.name,
         email: user.email,
         role: role,
-        department: user.department
+        department: user.department,
+        language: user.language || 'en'
       }
     });
   } catch (error) {
@@ -165,7 +172,7 @@ router.post('/login', async (req, res) => {
 });
 
 // GET current user
-router.get('/me', require('../middleware/auth')(), async (req, res) => {
+router.get('/me', auth(), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password -otp -otpExpiry');
     res.json(user);
@@ -174,4 +181,19 @@ router.get('/me', require('../middleware/auth')(), async (req, res) => {
   }
 });
 
+// UPDATE language preference (emails) — body: { language: 'en' | 'ta' }
+router.put('/me/language', auth(), async (req, res) => {
+  try {
+    const { language } = req.body;
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $set: { language } });
+    res.json({ message: 'Language preference updated', language });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -1,13 +1,16 @@
 const express = require('express');
 const Complaint = require('../models/Complaint');
+const Comment = require('../models/Comment');
 const auth = require('../middleware/auth');
 const { callAI } = require('../utils/gemini');
+const { ACTIVE_STATUSES } = require('../utils/workflow');
 
 const router = express.Router();
 
 // In-memory conversation history per user (cleared on server restart)
 const conversationHistory = new Map();
 const MAX_HISTORY = 10; // Keep last 10 exchanges per user
+const MAX_COMMENTS_PER_COMPLAINT = 3; // Recent comments included in the AI context
 
 // Strip markdown formatting from AI responses
 function stripMarkdown(text) {
@@ -48,6 +51,18 @@ router.post('/', auth(['user']), async (req, res) => {
       .select('ticketId department description status priority area address assignedToName createdAt updatedAt statusHistory rating feedback resolution isDuplicate aiRemarks')
       .lean();
 
+    // Recent public comments on those complaints (internal staff notes are never shared)
+    const comments = await Comment.find({ complaintId: { $in: complaints.map(c => c._id) }, internal: false })
+      .sort({ createdAt: -1 })
+      .select('complaintId authorName authorRole text createdAt')
+      .lean();
+    const commentsByComplaint = {};
+    for (const cm of comments) {
+      const key = cm.complaintId.toString();
+      if (!commentsByComplaint[key]) commentsByComplaint[key] = [];
+      if (commentsByComplaint[key].length < MAX_COMMENTS_PER_COMPLAINT) commentsByComplaint[key].push(cm);
+    }
+
     // Build complaint summary for the AI context
     let complaintContext = '';
     if (complaints.length === 0) {
@@ -74,6 +89,14 @@ router.post('/', auth(['user']), async (req, res) => {
         if (c.rating) complaintContext += `   User Rating: ${c.rating}/5\n`;
         if (c.isDuplicate) complaintContext += `   Note: Flagged as duplicate\n`;
         if (c.aiRemarks) complaintContext += `   AI Remarks: ${c.aiRemarks}\n`;
+        const recentComments = commentsByComplaint[c._id.toString()] || [];
+        if (recentComments.length) {
+          complaintContext += `   Recent Comments (newest first):\n`;
+          recentComments.forEach(cm => {
+            const who = cm.authorRole === 'user' ? 'You' : `${cm.authorName} (${cm.authorRole === 'provider' ? 'Service Provider' : 'Management'})`;
+            complaintContext += `     - ${who}, ${new Date(cm.createdAt).toLocaleDateString('en-IN')}: ${(cm.text || '[image]').substring(0, 150)}\n`;
+          });
+        }
         complaintContext += '\n';
       });
     }
@@ -104,19 +127,23 @@ RULES:
 - If asked about something unrelated to complaints or the portal, politely redirect.
 - Use a friendly, professional tone. You may use simple emojis for warmth.
 - If the user has no complaints, suggest they file one via the "Raise Complaint" page.
+- If a service provider has asked a question in the comments, remind the user and suggest replying in the complaint's comment thread.
 - When referencing complaints, always mention the Ticket ID.
 - NEVER use markdown formatting. No ** or * for bold/italic. No # headings. Just plain text.
 - Use numbered lists (1. 2. 3.) and bullet points (•) for structure.
 - Use CAPS or quotes for emphasis instead of markdown stars.
 - Format complaint lists cleanly like:
-  1. TNSMP-XXXXXX-XXX | Department | Status | Priority
+  1. TNSMP-CHN-2026-000123 | Department | Status | Priority
      Assigned to: Name | Filed: Date
 - For status queries, explain what each status means:
   • Registered = Complaint received, pending review
   • Accepted = Reviewed and accepted by service provider
   • Working On = Service provider is actively resolving it
   • Completed = Issue has been resolved
+  • Reopened = The citizen reported the issue came back after completion; it is with the provider again
   • Rejected = Complaint was rejected (duplicate/invalid)
+  • Withdrawn = The user withdrew the complaint themselves
+  • Merged = Same issue was already reported; the user follows the original ticket and gets its updates
 
 USER: ${userName}
 ${complaintContext}${historyContext}
@@ -168,7 +195,7 @@ function generateLocalResponse(message, complaints, userName) {
 
   // Complaint count
   if (msg.includes('how many') && (msg.includes('complaint') || msg.includes('ticket'))) {
-    const active = complaints.filter(c => ['Registered', 'Accepted', 'Working On'].includes(c.status)).length;
+    const active = complaints.filter(c => ACTIVE_STATUSES.includes(c.status)).length;
     const completed = complaints.filter(c => c.status === 'Completed').length;
     return `You have ${complaints.length} total complaint(s): ${active} active and ${completed} completed.`;
   }
@@ -180,7 +207,8 @@ function generateLocalResponse(message, complaints, userName) {
     }
 
     // Check if asking about specific ticket
-    const ticketMatch = msg.match(/tnsmp-\d+-\d+/i);
+    // Current IDs (TNSMP-CHN-2026-000123) and the older TNSMP-123456-789 format
+    const ticketMatch = msg.match(/tnsmp-(?:[a-z]{2,3}-\d{4}-\d+|\d+-\d+)/i);
     if (ticketMatch) {
       const ticket = complaints.find(c => c.ticketId.toLowerCase() === ticketMatch[0].toLowerCase());
       if (ticket) {
@@ -0,0 +1,133 @@
+const express = require('express');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { saveImage, removeFile } = require('../utils/storage');
+const { sendNewComment } = require('../utils/mailer');
+const { findComplaintByRef } = require('../utils/ticketId');
+
+// Mounted at /api/complaints/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENTS = 3;
+
+// ---------- HELPERS ----------
+
+// Who may see the thread: the citizen who filed it, the assigned provider, and management
+function getAccess(complaint, user) {
+  if (user.role === 'management') return { isStaff: true };
+  if (user.role === 'provider' && complaint.assignedTo?.toString() === user.id) return { isStaff: true };
+  if (user.role === 'user' && complaint.userId.toString() === user.id) return { isStaff: false };
+  return null;
+}
+
+// Email the other participants who are allowed to see the comment
+async function notifyParticipants(complaint, comment, author) {
+  const recipients = [];
+
+  if (!comment.internal && author.role !== 'user') {
+    recipients.push({ email: complaint.userEmail, name: complaint.userName });
+  }
+  if (complaint.assignedTo && complaint.assignedTo.toString() !== author.id) {
+    const provider = await User.findById(complaint.assignedTo).select('name email').lean();
+    if (provider) recipients.push({ email: provider.email, name: provider.name });
+  }
+
+  for (const r of recipients) {
+    try {
+      await sendNewComment(r.email, r.name, complaint, comment);
+    } catch (emailErr) {
+      console.error(`[Email] Failed to send comment notification to ${r.email}:`, emailErr.message);
+    }
+  }
+}
+
+// GET comments on a complaint (internal notes only for staff)
+router.get('/', auth(), async (req, res) => {
+  try {
+    const complaint = await findComplaintByRef(req.params.id).select('userId assignedTo').lean();
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const access = getAccess(complaint, req.user);
+    if (!access) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const filter = { complaintId: complaint._id };
+    if (!access.isStaff) filter.internal = false;
+
+    const comments = await Comment.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(comments);
+  } catch (error) {
+    console.error('Get comments error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST a comment — body: { text, attachments: [base64 images], internal }
+router.post('/', auth(), async (req, res) => {
+  try {
+    const text = (req.body.text || '').trim();
+    const attachmentsInput = Array.isArray(req.body.attachments) ? req.body.attachments.filter(Boolean) : [];
+
+    if (!text && attachmentsInput.length === 0) {
+      return res.status(400).json({ message: 'Comment text or an attachment is required' });
+    }
+    if (text.length > 2000) {
+      return res.status(400).json({ message: 'Comment is too long (max 2000 characters)' });
+    }
+    if (attachmentsInput.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({ message: `You can attach at most ${MAX_ATTACHMENTS} images` });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id).select('-photo');
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    const access = getAccess(complaint, req.user);
+    if (!access) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const internal = !!req.body.internal;
+    if (internal && !access.isStaff) {
+      return res.status(403).json({ message: 'Only staff can add internal notes' });
+    }
+
+    const attachments = [];
+    try {
+      for (const data of attachmentsInput) {
+        attachments.push(await saveImage(data, { folder: 'comments' }));
+      }
+    } catch (storageErr) {
+      for (const file of attachments) await removeFile(file);
+      console.error('[Comments] Failed to store attachment:', storageErr.message);
+      if (storageErr.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ message: 'One of the attachments is not a valid image' });
+      }
+      return res.status(500).json({ message: 'Server error storing attachment' });
+    }
+
+    const comment = await Comment.create({
+      complaintId: complaint._id,
+      authorId: req.user.id,
+      authorName: req.user.name || 'Unknown',
+      authorRole: req.user.role,
+      text,
+      attachments,
+      internal
+    });
+
+    await notifyParticipants(complaint, comment, req.user);
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Create comment error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
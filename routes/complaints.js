@@ -1,100 +1,427 @@
 const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { uploadComplaintMedia } = require('../middleware/upload');
 const { prioritizeComplaint, detectDuplicateOrFake } = require('../utils/gemini');
 const { detectDepartmentFromImage } = require('../utils/vision');
-const { sendComplaintAssignment, sendStatusUpdate } = require('../utils/mailer');
+const { sendComplaintAssignment, sendComplaintConfirmation, sendStatusUpdate, sendComplaintWithdrawn } = require('../utils/mailer');
+const { computeSlaDueDates } = require('../utils/sla');
+const { saveImage, removeFile } = require('../utils/storage');
+const { inspectComplaintMedia, storeComplaintMedia } = require('../utils/media');
+const { toPoint, geoTags } = require('../utils/geo');
+const { resolveAdminAreas, complaintAreaFields } = require('../utils/adminAreas');
+const { findComplaintsPage, setPaginationHeaders } = require('../utils/complaintQuery');
+const { isDepartment } = require('../utils/departments');
+const { saveWithTicketId, findComplaintByRef } = require('../utils/ticketId');
+const { ACTIVE_STATUSES, assignProviderForDepartment, assignComplaint, clearPendingRequests, notifyStatusChange, addFollower } = require('../utils/workflow');
 
 const router = express.Router();
 
+const REOPEN_WINDOW_DAYS = parseInt(process.env.REOPEN_WINDOW_DAYS, 10) || 14;
+const DUPLICATE_RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS, 10) || 150;
+const NEARBY_DEFAULT_RADIUS = 500;
+const NEARBY_MAX_RADIUS = 5000;
+const SYNC_MAX_ITEMS = 10;
+const SYNC_MAX_AGE_DAYS = parseInt(process.env.OFFLINE_SYNC_MAX_AGE_DAYS, 10) || 30;
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000; // Device clocks run a little fast
+const VOICE_NOTE_DESCRIPTION = '(Voice note — no written description)';
+
 // ---------- HELPERS ----------
 
-// Reverse geocode lat/lng to address using Google Maps Geocoding API
+// 6-character public tracking code (no 0/O/1/I to avoid misreading)
+const TRACKING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function generateTrackingCode() {
+  let code = '';
+  for (let i = 0; i < 6; i++) code += TRACKING_CODE_ALPHABET[crypto.randomInt(TRACKING_CODE_ALPHABET.length)];
+  return code;
+}
+
+// Reverse geocode lat/lng: the address from the Google Maps Geocoding API, the district /
+// taluk / ward from the administrative area boundaries (or names in the address)
 async function reverseGeocode(latitude, longitude) {
+  let address = '';
+  let components = [];
   try {
     const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    if (!apiKey) return { address: '', area: '' };
-
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitude},${longitude}&key=${apiKey}`;
-    const res = await fetch(url);
-    const data = await res.json();
-
-    if (data.status !== 'OK' || !data.results?.length) return { address: '', area: '' };
-
-    const fullAddress = data.results[0].formatted_address || '';
-
-    // Extract district/area from address components
-    let detectedArea = '';
-    const tamilNaduAreas = [
-      'Chennai', 'Coimbatore', 'Madurai', 'Tiruchirappalli', 'Salem',
-      'Tirunelveli', 'Erode', 'Vellore', 'Thoothukudi', 'Dindigul',
-      'Thanjavur', 'Ranipet', 'Sivaganga', 'Karur', 'Namakkal',
-      'Tiruppur', 'Cuddalore', 'Kanchipuram', 'Tiruvannamalai', 'Villupuram',
-      'Nagapattinam', 'Ramanathapuram', 'Virudhunagar', 'Krishnagiri', 'Dharmapuri',
-      'Perambalur', 'Ariyalur', 'Nilgiris', 'Pudukkottai', 'Theni',
-      'Kanyakumari', 'Kallakurichi', 'Chengalpattu', 'Tiruvallur', 'Tenkasi',
-      'Tirupattur', 'Mayiladuthurai'
-    ];
-
-    // Search address components for district match
-    for (const component of data.results[0].address_components || []) {
-      const name = component.long_name;
-      const match = tamilNaduAreas.find(a => name.toLowerCase().includes(a.toLowerCase()));
-      if (match) {
-        detectedArea = match;
-        break;
+    if (apiKey) {
+      const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitude},${longitude}&key=${apiKey}`;
+      const res = await fetch(url);
+      const data = await res.json();
+      if (data.status === 'OK' && data.results?.length) {
+        address = data.results[0].formatted_address || '';
+        components = (data.results[0].address_components || []).map(c => c.long_name);
       }
     }
+  } catch (err) {
+    console.error('[Geocode] Error:', err.message);
+  }
+
+  try {
+    const adminAreas = await resolveAdminAreas({ point: toPoint(latitude, longitude), text: [...components, address].join(', ') });
+    const area = adminAreas.district?.name || '';
+    console.log(`[Geocode] Address: ${address}, Detected area: ${area || 'unknown'}`);
+    return { address, area, adminAreas };
+  } catch (err) {
+    console.error('[Geocode] Area lookup failed:', err.message);
+    return { address, area: '', adminAreas: null };
+  }
+}
 
-    // Fallback: search full address string
-    if (!detectedArea) {
-      for (const area of tamilNaduAreas) {
-        if (fullAddress.toLowerCase().includes(area.toLowerCase())) {
-          detectedArea = area;
-          break;
+// Candidate complaints for duplicate detection: open complaints in the department within
+// DUPLICATE_RADIUS_METERS of the new one, or the last 20 in the department when there's no GPS fix
+async function findDuplicateCandidates(department, point) {
+  if (point) {
+    return Complaint.aggregate([
+      {
+        $geoNear: {
+          near: point,
+          distanceField: 'distance',
+          maxDistance: DUPLICATE_RADIUS_METERS,
+          spherical: true,
+          query: { department, status: { $in: ACTIVE_STATUSES } }
         }
-      }
-    }
+      },
+      { $limit: 20 },
+      { $project: { ticketId: 1, description: 1, area: 1, status: 1, distance: 1 } }
+    ]);
+  }
 
-    console.log(`[Geocode] Address: ${fullAddress}, Detected area: ${detectedArea || 'unknown'}`);
-    return { address: fullAddress, area: detectedArea };
-  } catch (err) {
-    console.error('[Geocode] Error:', err.message);
-    return { address: '', area: '' };
+  return Complaint.find({
+    department,
+    status: { $ne: 'Rejected' }
+  }).select('ticketId description area status').limit(20).lean();
+}
+
+// AI duplicate & fake detection; `excludeTicketId` keeps a complaint being edited from matching itself
+async function runDuplicateCheck(description, department, area, point, excludeTicketId) {
+  let duplicateCheck = { isDuplicate: false, duplicateOf: null, isFake: false, remarks: '' };
+  try {
+    const existingComplaints = (await findDuplicateCandidates(department, point))
+      .filter(c => c.ticketId !== excludeTicketId);
+
+    duplicateCheck = await detectDuplicateOrFake(description, department, area, existingComplaints);
+    console.log('AI Duplicate/Fake check:', duplicateCheck);
+  } catch (aiErr) {
+    console.error('AI duplicate detection failed:', aiErr.message);
+  }
+  return duplicateCheck;
+}
+
+// Multipart form fields arrive as strings
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Ticket IDs are sequential, so a complaint is only shown to the citizen who filed it,
+// management, its provider, a provider or department asked to take it over and — while
+// nobody has it — the providers of its department, who can claim it
+function canViewComplaint(complaint, user) {
+  const idOf = ref => (ref?._id || ref)?.toString();
+  if (user.role === 'management') return true;
+  if (user.role === 'provider') {
+    if (idOf(complaint.assignedTo) === user.id || idOf(complaint.transferRequest?.toId) === user.id) return true;
+    if (complaint.departmentChangeRequest?.toDepartment === user.department) return true;
+    return !complaint.assignedTo && complaint.department === user.department;
+  }
+  return idOf(complaint.userId) === user.id;
+}
+
+// Multipart form: the first photo is the complaint's main photo, the rest become attachments.
+// publicSharing may be sent as a JSON string or as publicSharing[photo]/publicSharing[contact] fields.
+function multipartToInput(body, files) {
+  const photos = (files.photos || []).map(f => f.buffer);
+  let publicSharing = body.publicSharing;
+  if (typeof publicSharing === 'string') {
+    try { publicSharing = JSON.parse(publicSharing); } catch (e) { publicSharing = undefined; }
+  }
+  if (!publicSharing) {
+    publicSharing = { photo: body['publicSharing[photo]'], contact: body['publicSharing[contact]'] };
   }
+
+  return {
+    input: {
+      ...body,
+      photo: photos.length ? photos[0].toString('base64') : body.photo,
+      publicSharing
+    },
+    media: {
+      photos: photos.length ? photos.slice(1) : [],
+      voiceNote: files.voiceNote?.[0],
+      video: files.video?.[0]
+    }
+  };
 }
 
-// Load-balanced provider assignment: find the least-loaded free provider in a department
-async function assignProviderForDepartment(department) {
+// The ticket a duplicate should be merged into, if it exists and isn't merged itself
+async function findMergeParent(duplicateCheck) {
+  if (!duplicateCheck.isDuplicate || !duplicateCheck.duplicateOf) return null;
+  return Complaint.findOne({ ticketId: duplicateCheck.duplicateOf, status: { $ne: 'Merged' } });
+}
+
+/**
+ * Register a complaint for a citizen — shared by POST / and the offline sync batch.
+ * `capturedAt` is when an offline submission was captured on the device; `media` holds
+ * files uploaded with a multipart submission ({ photos, voiceNote, video }).
+ * Returns { status, body } for the response; throws on unexpected errors.
+ */
+async function createComplaint(user, input, { capturedAt, media } = {}) {
+  let { area, department, description, photo, latitude, longitude, address, publicSharing } = input;
+
+  console.log('Creating complaint - user:', user);
+  console.log('Creating complaint - fields:', { area, department, descLen: description?.length, photoLen: photo?.length, latitude, longitude });
+
+  if (!photo) {
+    return { status: 400, body: { message: 'Photo is required. Please take a live photo.' } };
+  }
+  if (department && !isDepartment(department)) {
+    return { status: 400, body: { message: `Unknown department: ${department}` } };
+  }
+
+  // A voice note stands in for the description for citizens who cannot type
+  const hasVoiceNote = !!media?.voiceNote;
+  if (!description && !hasVoiceNote) {
+    return { status: 400, body: { message: 'Description or a voice note is required.' } };
+  }
+
+  // Check extra photos, voice note and video before doing any AI or storage work
+  let inspectedMedia = null;
+  if (media) {
+    try {
+      inspectedMedia = await inspectComplaintMedia(media);
+    } catch (mediaErr) {
+      if (mediaErr.code === 'INVALID_MEDIA') return { status: 400, body: { message: mediaErr.message } };
+      throw mediaErr;
+    }
+  }
+
+  // Reverse geocode if lat/lng provided and area/address not set
+  let adminAreas = null;
+  if (latitude && longitude) {
+    const geoResult = await reverseGeocode(latitude, longitude);
+    if (!address && geoResult.address) address = geoResult.address;
+    if (!area && geoResult.area) area = geoResult.area;
+    adminAreas = geoResult.adminAreas;
+  }
+
+  // Fallback area
+  if (!area) area = 'Unknown';
+
+  // Auto-detect department from image if not provided
+  let departmentDetection = { source: 'citizen', department };
+  if (!department) {
+    try {
+      console.log('[Auto-Detect] No department provided, analyzing image...');
+      const visionResult = await detectDepartmentFromImage(photo);
+      department = visionResult.department;
+      departmentDetection = {
+        source: visionResult.error ? 'fallback' : (visionResult.source || 'keyword-mapping'),
+        department,
+        confidence: visionResult.confidence
+      };
+      console.log(`[Auto-Detect] Detected department: ${department} (${visionResult.confidence}%)`);
+    } catch (visionErr) {
+      console.error('[Auto-Detect] Vision API failed, defaulting to General:', visionErr.message);
+      department = 'General';
+      departmentDetection = { source: 'fallback', department, confidence: 0 };
+    }
+  }
+
+  // AI Duplicate & Fake Detection
+  const point = toPoint(latitude, longitude);
+  // Without a written description there is nothing for the text-based check to compare
+  const duplicateCheck = description
+    ? await runDuplicateCheck(description, department, area, point)
+    : { isDuplicate: false, duplicateOf: null, isFake: false, remarks: '' };
+  if (!description) description = VOICE_NOTE_DESCRIPTION;
+
+  // Reject fake complaints
+  if (duplicateCheck.isFake) {
+    return {
+      status: 400,
+      body: {
+        message: 'This complaint appears to be invalid or fake. AI Remarks: ' + duplicateCheck.remarks,
+        isFake: true,
+        aiRemarks: duplicateCheck.remarks
+      }
+    };
+  }
+
+  // Store the photo (and a thumbnail) in the file store — only the reference goes into Mongo
+  let photoFile;
   try {
-    const providers = await User.find({ role: 'provider', department }).select('_id name email').lean();
-    if (!providers.length) {
-      console.log(`[LoadBalance] No providers found for department: ${department}`);
-      return null;
+    photoFile = await saveImage(photo, { folder: 'complaints' });
+  } catch (storageErr) {
+    console.error('[Storage] Failed to store complaint photo:', storageErr.message);
+    if (storageErr.code === 'INVALID_IMAGE') {
+      return { status: 400, body: { message: 'Could not process the photo. Please retake and try again.' } };
     }
+    return { status: 500, body: { message: 'Server error storing photo' } };
+  }
 
-    // Single aggregation to get active counts per provider in this department
-    const loadAgg = await Complaint.aggregate([
-      { $match: { assignedTo: { $in: providers.map(p => p._id) }, status: { $in: ['Registered', 'Accepted', 'Working On'] } } },
-      { $group: { _id: '$assignedTo', activeCount: { $sum: 1 } } }
-    ]);
+  let attachments = [];
+  if (inspectedMedia) {
+    try {
+      attachments = await storeComplaintMedia(inspectedMedia);
+    } catch (storageErr) {
+      console.error('[Storage] Failed to store complaint media:', storageErr.message);
+      await removeFile(photoFile);
+      if (storageErr.code === 'INVALID_IMAGE') {
+        return { status: 400, body: { message: 'Could not process one of the photos. Please retake and try again.' } };
+      }
+      return { status: 500, body: { message: 'Server error storing attachments' } };
+    }
+  }
 
-    const loadMap = {};
-    for (const item of loadAgg) loadMap[item._id.toString()] = item.activeCount;
+  // AI Priority assignment (with fallback)
+  let priority = 'Medium';
+  try {
+    priority = await prioritizeComplaint(description, department);
+  } catch (aiErr) {
+    console.error('AI prioritization failed, using Medium:', aiErr.message);
+  }
 
-    const providerLoads = providers.map(p => ({ ...p, activeCount: loadMap[p._id.toString()] || 0 }));
-    providerLoads.sort((a, b) => a.activeCount - b.activeCount);
+  // Duplicates are merged into the open parent ticket — the citizen follows it for updates.
+  // If the parent can't be found (e.g. an unknown ticket ID from the AI) it is rejected as before.
+  const parent = await findMergeParent(duplicateCheck);
+  const isMerged = !!parent;
+  const isRejected = duplicateCheck.isDuplicate && !isMerged;
+  const initialStatus = isMerged ? 'Merged' : isRejected ? 'Rejected' : 'Registered';
 
-    const freeProvider = providerLoads.find(p => p.activeCount === 0);
-    const chosen = freeProvider || providerLoads[0];
+  // Load-balanced provider assignment
+  let assignedProvider = null;
+  if (initialStatus === 'Registered') {
+    assignedProvider = await assignProviderForDepartment(department);
+  }
 
-    console.log(`[LoadBalance] ${department}: ${providerLoads.map(p => `${p.name}(${p.activeCount})`).join(', ')} → ${chosen.name}`);
-    return chosen;
-  } catch (err) {
-    console.error('[LoadBalance] Error:', err.message);
-    return null;
+  const createdAt = new Date();
+  const trackingCode = generateTrackingCode();
+
+  const complaintData = {
+    userId: user.id,
+    userName: user.name || 'Unknown',
+    userEmail: user.email || 'unknown@email.com',
+    area,
+    address: address || '',
+    department,
+    departmentDetection,
+    description,
+    photo: photoFile.url,
+    photoThumbnail: photoFile.thumbnailUrl,
+    photoFile,
+    attachments,
+    priority,
+    status: initialStatus,
+    isDuplicate: duplicateCheck.isDuplicate,
+    duplicateOf: duplicateCheck.duplicateOf,
+    mergedInto: parent ? parent._id : undefined,
+    isFake: false,
+    aiRemarks: duplicateCheck.remarks,
+    aiDecision: {
+      priority,
+      isDuplicate: duplicateCheck.isDuplicate,
+      duplicateOf: duplicateCheck.duplicateOf
+    },
+    trackingCode,
+    publicSharing: {
+      photo: isTrue(publicSharing?.photo),
+      contact: isTrue(publicSharing?.contact)
+    },
+    createdAt,
+    capturedAt,
+    updatedAt: createdAt,
+    // Status history — initial entry
+    statusHistory: [{
+      status: initialStatus,
+      timestamp: createdAt,
+      updatedByName: 'System',
+      note: isMerged
+        ? `Same issue as ${parent.ticketId} — merged, you will receive updates for that ticket`
+        : isRejected
+          ? `Flagged as duplicate of ${duplicateCheck.duplicateOf}`
+          : 'Complaint registered successfully'
+    }]
+  };
+
+  // Add location if provided
+  if (point) {
+    complaintData.location = point;
+  }
+  // Without a district from the GPS fix, go by what the citizen typed
+  if (!adminAreas?.district) adminAreas = await resolveAdminAreas({ text: `${area} ${address || ''}` });
+  Object.assign(complaintData, geoTags(area, address, point), complaintAreaFields(adminAreas));
+
+  // SLA due dates (only for complaints that will actually be worked on)
+  if (initialStatus === 'Registered') {
+    complaintData.sla = computeSlaDueDates(department, priority, createdAt);
   }
+
+  const complaint = new Complaint(complaintData);
+
+  // Assign provider
+  if (assignedProvider) {
+    assignComplaint(complaint, assignedProvider);
+  }
+
+  // Ticket ID is allocated from the district's counter as part of the save
+  try {
+    await saveWithTicketId(complaint);
+  } catch (saveErr) {
+    await removeFile(photoFile);
+    for (const file of attachments) await removeFile(file);
+    throw saveErr;
+  }
+  console.log('Complaint saved successfully with ticketId:', complaint.ticketId);
+
+  // Follow the parent ticket
+  if (parent) {
+    if (addFollower(parent, { userId: complaint.userId, name: complaint.userName, email: complaint.userEmail, via: 'duplicate', ticketId: complaint.ticketId })) {
+      parent.updatedAt = new Date();
+      await parent.save();
+    }
+    console.log(`[Merge] ${complaint.ticketId} merged into ${parent.ticketId} (${parent.endorsementCount} follower(s))`);
+  }
+
+  // Send email notification to assigned provider
+  if (assignedProvider) {
+    try {
+      await sendComplaintAssignment(assignedProvider.email, assignedProvider.name, complaint);
+      console.log(`[Email] Assignment notification sent to ${assignedProvider.email}`);
+    } catch (emailErr) {
+      console.error('[Email] Failed to send assignment notification:', emailErr.message);
+    }
+  }
+
+  // Confirm to the citizen with the public tracking code
+  try {
+    await sendComplaintConfirmation(complaint.userEmail, complaint.userName, complaint, trackingCode);
+  } catch (emailErr) {
+    console.error('[Email] Failed to send complaint confirmation:', emailErr.message);
+  }
+
+  // Build response
+  const responseData = {
+    message: isMerged
+      ? `This issue is already reported as ${parent.ticketId}. Your complaint has been linked to it and you will receive all its updates.`
+      : duplicateCheck.isDuplicate
+        ? 'Complaint flagged as potential duplicate of ' + duplicateCheck.duplicateOf
+        : 'Complaint registered successfully',
+    ticketId: complaint.ticketId,
+    trackingCode,
+    priority: complaint.priority,
+    isDuplicate: complaint.isDuplicate,
+    mergedInto: parent ? parent.ticketId : null,
+    aiRemarks: complaint.aiRemarks,
+    assignedTo: assignedProvider ? assignedProvider.name : null,
+    department: complaint.department,
+    address: complaint.address,
+    area: complaint.area
+  };
+
+  return { status: 201, body: responseData };
 }
 
 // ANALYZE IMAGE — Google Cloud Vision API auto-detects department
@@ -128,181 +455,537 @@ router.post('/analyze-image', auth(['user']), async (req, res) => {
 });
 
 // CREATE complaint (User only) — department is auto-detected from image if not provided
-router.post('/', auth(['user']), async (req, res) => {
+// Send an Idempotency-Key header to make retries safe: a repeat returns the original response
+// Accepts JSON with a base64 photo, or multipart/form-data with up to MAX_COMPLAINT_PHOTOS
+// photos, a voiceNote and a video clip alongside the same text fields.
+router.post('/', auth(['user']), uploadComplaintMedia, idempotency('complaint:create'), async (req, res) => {
   try {
-    let { area, department, description, photo, latitude, longitude, address } = req.body;
+    const { input, media } = req.files ? multipartToInput(req.body, req.files) : { input: req.body };
+    const { status, body } = await createComplaint(req.user, input, { media });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Create complaint error:', error.message);
+    console.error('Error details:', error);
+    res.status(500).json({ message: 'Server error creating complaint: ' + error.message });
+  }
+});
 
-    console.log('Creating complaint - user:', req.user);
-    console.log('Creating complaint - fields:', { area, department, descLen: description?.length, photoLen: photo?.length, latitude, longitude });
+// SYNC complaints queued offline on the device (User only)
+// body: { items: [{ clientId, capturedAt, ...same fields as POST / }] } — at most SYNC_MAX_ITEMS.
+// clientId doubles as the item's Idempotency-Key, so re-sending a batch after a dropped
+// connection replays the items that already went through instead of filing them twice.
+router.post('/sync', auth(['user']), async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ message: 'items must be a non-empty array' });
+    }
+    if (items.length > SYNC_MAX_ITEMS) {
+      return res.status(400).json({ message: `At most ${SYNC_MAX_ITEMS} complaints can be synced at once` });
+    }
 
-    if (!photo) {
-      return res.status(400).json({ message: 'Photo is required. Please take a live photo.' });
+    const now = Date.now();
+    const results = [];
+    // One at a time, in capture order, so later items see earlier ones in duplicate detection
+    for (const item of items) {
+      const { clientId, capturedAt: capturedAtRaw, idempotencyKey, ...fields } = item || {};
+      const key = String(idempotencyKey || clientId || '');
+      if (!key || key.length > 255) {
+        results.push({ clientId, status: 400, body: { message: 'Each item needs a clientId of at most 255 characters' } });
+        continue;
+      }
+
+      const capturedAt = capturedAtRaw ? new Date(capturedAtRaw) : null;
+      if (capturedAt && (isNaN(capturedAt) || capturedAt > now + SYNC_CLOCK_SKEW_MS ||
+          capturedAt < now - SYNC_MAX_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+        results.push({ clientId, status: 400, body: { message: `capturedAt must be a valid time within the last ${SYNC_MAX_AGE_DAYS} days` } });
+        continue;
+      }
+
+      // Hashed exactly as the Idempotency-Key middleware hashes POST /, so a submission
+      // first tried online and then queued offline is still recognised
+      const claim = await idempotency.claimKey({
+        userId: req.user.id,
+        scope: 'complaint:create',
+        key,
+        requestHash: idempotency.hashRequest({ params: {}, body: fields })
+      });
+      if (claim.replay) {
+        results.push({ clientId, ...claim.replay, replayed: true });
+        continue;
+      }
+      if (claim.conflict) {
+        results.push({ clientId, status: claim.conflict.status, body: { message: claim.conflict.message } });
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await createComplaint(req.user, fields, { capturedAt: capturedAt || undefined });
+      } catch (err) {
+        console.error(`[Sync] Item ${clientId} failed:`, err.message);
+        outcome = { status: 500, body: { message: 'Server error creating complaint: ' + err.message } };
+      }
+      await idempotency.completeKey(claim.record, outcome.status, outcome.body);
+      results.push({ clientId, ...outcome });
     }
 
-    if (!description) {
-      return res.status(400).json({ message: 'Description is required.' });
+    const created = results.filter(r => r.status === 201 && !r.replayed).length;
+    console.log(`[Sync] ${req.user.email}: ${items.length} item(s), ${created} created`);
+    res.json({ total: items.length, created, results });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// REVERSE GEOCODE — frontend calls this to auto-fill address from GPS
+router.post('/reverse-geocode', auth(['user']), async (req, res) => {
+  try {
+    const { latitude, longitude } = req.body;
+    if (!latitude || !longitude) {
+      return res.status(400).json({ message: 'Latitude and longitude required' });
     }
+    const result = await reverseGeocode(latitude, longitude);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ address: '', area: '' });
+  }
+});
 
-    // Reverse geocode if lat/lng provided and area/address not set
-    if (latitude && longitude) {
-      const geoResult = await reverseGeocode(latitude, longitude);
-      if (!address && geoResult.address) address = geoResult.address;
-      if (!area && geoResult.area) area = geoResult.area;
+// NEARBY complaints — open issues within a radius (meters) of a point, nearest first
+router.get('/nearby', auth(), async (req, res) => {
+  try {
+    const { lat, lng, department } = req.query;
+    const point = toPoint(lat, lng);
+    if (!point) {
+      return res.status(400).json({ message: 'Valid lat and lng query parameters are required' });
     }
 
-    // Fallback area
-    if (!area) area = 'Unknown';
+    const radius = Math.min(parseInt(req.query.radius, 10) || NEARBY_DEFAULT_RADIUS, NEARBY_MAX_RADIUS);
+    const query = { status: { $in: ACTIVE_STATUSES } };
+    if (department) query.department = department;
 
-    // Auto-detect department from image if not provided
-    if (!department) {
-      try {
-        console.log('[Auto-Detect] No department provided, analyzing image...');
-        const visionResult = await detectDepartmentFromImage(photo);
-        department = visionResult.department;
-        console.log(`[Auto-Detect] Detected department: ${department} (${visionResult.confidence}%)`);
-      } catch (visionErr) {
-        console.error('[Auto-Detect] Vision API failed, defaulting to General:', visionErr.message);
-        department = 'General';
+    const complaints = await Complaint.aggregate([
+      { $geoNear: { near: point, distanceField: 'distance', maxDistance: radius, spherical: true, query } },
+      { $limit: 50 },
+      {
+        $project: {
+          ticketId: 1, department: 1, description: 1, status: 1, priority: 1, area: 1,
+          photoThumbnail: 1, location: 1, createdAt: 1,
+          distance: { $round: ['$distance', 0] }
+        }
       }
+    ]);
+
+    res.json({ radius, count: complaints.length, complaints });
+  } catch (error) {
+    console.error('Nearby complaints error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UPDATE what the public tracking page may show (User only, own complaints)
+router.put('/:id/public-sharing', auth(['user']), async (req, res) => {
+  try {
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
     }
 
-    // AI Duplicate & Fake Detection
-    let duplicateCheck = { isDuplicate: false, duplicateOf: null, isFake: false, remarks: '' };
-    try {
-      const existingComplaints = await Complaint.find({ 
-        department, 
-        status: { $ne: 'Rejected' } 
-      }).select('ticketId description area status').limit(20).lean();
+    if (complaint.userId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only change sharing on your own complaints' });
+    }
 
-      duplicateCheck = await detectDuplicateOrFake(description, department, area, existingComplaints);
-      console.log('AI Duplicate/Fake check:', duplicateCheck);
-    } catch (aiErr) {
-      console.error('AI duplicate detection failed:', aiErr.message);
+    const { photo, contact } = req.body;
+    if (photo !== undefined) complaint.publicSharing.photo = !!photo;
+    if (contact !== undefined) complaint.publicSharing.contact = !!contact;
+    complaint.updatedAt = new Date();
+    await complaint.save();
+
+    res.json({ message: 'Sharing preferences updated', publicSharing: complaint.publicSharing });
+  } catch (error) {
+    console.error('Public sharing error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// EDIT a complaint before it is accepted (User only) — body: { description?, area?, department?, photo? }
+router.patch('/:id', auth(['user']), async (req, res) => {
+  try {
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.userId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own complaints' });
+    }
+
+    if (complaint.status !== 'Registered') {
+      return res.status(400).json({ message: 'Complaints can only be edited until a service provider accepts them' });
     }
 
-    // Reject fake complaints
+    const description = req.body.description !== undefined ? String(req.body.description).trim() : complaint.description;
+    const area = req.body.area !== undefined ? String(req.body.area).trim() : complaint.area;
+    const department = req.body.department || complaint.department;
+    const { photo } = req.body;
+
+    if (!description) {
+      return res.status(400).json({ message: 'Description is required.' });
+    }
+    if (!area) {
+      return res.status(400).json({ message: 'Area is required.' });
+    }
+    if (!isDepartment(department)) {
+      return res.status(400).json({ message: `Unknown department: ${department}` });
+    }
+
+    const changed = [];
+    if (description !== complaint.description) changed.push('description');
+    if (area !== complaint.area) changed.push('area');
+    if (department !== complaint.department) changed.push('department');
+    if (photo) changed.push('photo');
+    if (!changed.length) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    // Re-run duplicate & fake detection against everything except this complaint
+    const duplicateCheck = await runDuplicateCheck(description, department, area, complaint.location?.coordinates?.length ? complaint.location : null, complaint.ticketId);
     if (duplicateCheck.isFake) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         message: 'This complaint appears to be invalid or fake. AI Remarks: ' + duplicateCheck.remarks,
         isFake: true,
         aiRemarks: duplicateCheck.remarks
       });
     }
 
-    // AI Priority assignment (with fallback)
-    let priority = 'Medium';
+    let photoFile = null;
+    if (photo) {
+      try {
+        photoFile = await saveImage(photo, { folder: 'complaints' });
+      } catch (storageErr) {
+        console.error('[Storage] Failed to store complaint photo:', storageErr.message);
+        if (storageErr.code === 'INVALID_IMAGE') {
+          return res.status(400).json({ message: 'Could not process the photo. Please retake and try again.' });
+        }
+        return res.status(500).json({ message: 'Server error storing photo' });
+      }
+    }
+
+    let priority = complaint.priority;
     try {
       priority = await prioritizeComplaint(description, department);
     } catch (aiErr) {
-      console.error('AI prioritization failed, using Medium:', aiErr.message);
-    }
-
-    // Generate ticket ID
-    const prefix = 'TNSMP';
-    const timestamp = Date.now().toString().slice(-6);
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    const ticketId = `${prefix}-${timestamp}-${random}`;
-
-    // Load-balanced provider assignment
-    let assignedProvider = null;
-    const isRejected = duplicateCheck.isDuplicate;
-    if (!isRejected) {
-      assignedProvider = await assignProviderForDepartment(department);
-    }
-
-    const complaintData = {
-      ticketId,
-      userId: req.user.id,
-      userName: req.user.name || 'Unknown',
-      userEmail: req.user.email || 'unknown@email.com',
-      area,
-      address: address || '',
-      department,
-      description,
-      photo,
-      priority,
-      status: isRejected ? 'Rejected' : 'Registered',
-      isDuplicate: duplicateCheck.isDuplicate,
-      duplicateOf: duplicateCheck.duplicateOf,
-      isFake: false,
-      aiRemarks: duplicateCheck.remarks,
-      // Status history — initial entry
-      statusHistory: [{
-        status: isRejected ? 'Rejected' : 'Registered',
-        timestamp: new Date(),
-        updatedByName: 'System',
-        note: isRejected
-          ? `Flagged as duplicate of ${duplicateCheck.duplicateOf}`
-          : 'Complaint registered successfully'
-      }]
-    };
-
-    // Add location if provided
-    if (latitude && longitude) {
-      complaintData.location = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+      console.error('AI prioritization failed, keeping previous priority:', aiErr.message);
     }
 
-    // Assign provider
-    if (assignedProvider) {
-      complaintData.assignedTo = assignedProvider._id;
-      complaintData.assignedToName = assignedProvider.name;
+    const previousPhotoFile = complaint.photoFile;
+    const previousProviderId = complaint.assignedTo?.toString();
+    const departmentChanged = department !== complaint.department;
+    const now = new Date();
+
+    if (departmentChanged) {
+      complaint.departmentHistory.push({
+        fromDepartment: complaint.department,
+        toDepartment: department,
+        via: 'citizen',
+        requestedByName: req.user.name,
+        changedAt: now
+      });
+    }
+    complaint.description = description;
+    const previousArea = complaint.area;
+    complaint.area = area;
+    if (area !== previousArea) {
+      const located = complaint.location?.coordinates?.length ? complaint.location : null;
+      const adminAreas = await resolveAdminAreas({ point: located, text: `${area} ${complaint.address || ''}` });
+      complaint.district = geoTags(area, complaint.address).district;
+      complaint.set(complaintAreaFields(adminAreas));
+    } else if (!complaint.adminArea?.district) {
+      // A district resolved from the registry stays; otherwise re-tag from the text as before
+      complaint.district = geoTags(area, complaint.address).district;
+    }
+    complaint.department = department;
+    complaint.priority = priority;
+    complaint.aiRemarks = duplicateCheck.remarks;
+    complaint.aiDecision = { priority, isDuplicate: duplicateCheck.isDuplicate, duplicateOf: duplicateCheck.duplicateOf };
+    if (photoFile) {
+      complaint.photo = photoFile.url;
+      complaint.photoThumbnail = photoFile.thumbnailUrl;
+      complaint.photoFile = photoFile;
     }
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status: 'Registered',
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Complaint edited by citizen (${changed.join(', ')})`
+    });
 
-    const complaint = new Complaint(complaintData);
+    // Now a duplicate of another open ticket — merge it, just as on creation
+    const parent = await findMergeParent(duplicateCheck);
+    let provider = null;
+    if (parent) {
+      complaint.status = 'Merged';
+      clearPendingRequests(complaint);
+      complaint.isDuplicate = true;
+      complaint.duplicateOf = parent.ticketId;
+      complaint.mergedInto = parent._id;
+      complaint.statusHistory.push({
+        status: 'Merged',
+        timestamp: now,
+        updatedByName: 'System',
+        note: `Same issue as ${parent.ticketId} — merged, you will receive updates for that ticket`
+      });
+    } else {
+      complaint.sla = computeSlaDueDates(department, priority, complaint.createdAt);
+      // Re-route to the new department's least-loaded provider
+      if (departmentChanged) {
+        provider = await assignProviderForDepartment(department);
+        assignComplaint(complaint, provider, { reason: `Moved to ${department} by the citizen` });
+      }
+    }
 
-    console.log('Saving complaint with ticketId:', ticketId);
     await complaint.save();
-    console.log('Complaint saved successfully');
 
-    // Send email notification to assigned provider
-    if (assignedProvider) {
+    if (parent) {
+      if (addFollower(parent, { userId: complaint.userId, name: complaint.userName, email: complaint.userEmail, via: 'duplicate', ticketId: complaint.ticketId })) {
+        parent.updatedAt = now;
+        await parent.save();
+      }
+    }
+    if (photoFile && previousPhotoFile) await removeFile(previousPhotoFile);
+
+    // Let the previous provider know it left their queue, and the new one that it arrived
+    if ((parent || departmentChanged) && previousProviderId) {
+      const previousProvider = await User.findById(previousProviderId).select('name email').lean();
+      if (previousProvider) {
+        try {
+          await sendComplaintWithdrawn(previousProvider.email, previousProvider.name, complaint,
+            parent ? `Merged into ${parent.ticketId}` : `Moved to ${department} by the citizen`);
+        } catch (emailErr) {
+          console.error('[Email] Failed to notify previous provider:', emailErr.message);
+        }
+      }
+    }
+    if (provider) {
       try {
-        await sendComplaintAssignment(assignedProvider.email, assignedProvider.name, complaint);
-        console.log(`[Email] Assignment notification sent to ${assignedProvider.email}`);
+        await sendComplaintAssignment(provider.email, provider.name, complaint);
       } catch (emailErr) {
         console.error('[Email] Failed to send assignment notification:', emailErr.message);
       }
     }
 
-    // Build response
-    const responseData = {
-      message: duplicateCheck.isDuplicate 
-        ? 'Complaint flagged as potential duplicate of ' + duplicateCheck.duplicateOf
-        : 'Complaint registered successfully',
+    res.json({
+      message: parent
+        ? `This issue is already reported as ${parent.ticketId}. Your complaint has been linked to it and you will receive all its updates.`
+        : 'Complaint updated',
       ticketId: complaint.ticketId,
-      priority: complaint.priority,
-      isDuplicate: complaint.isDuplicate,
-      aiRemarks: complaint.aiRemarks,
-      assignedTo: assignedProvider ? assignedProvider.name : null,
+      status: complaint.status,
       department: complaint.department,
-      address: complaint.address,
-      area: complaint.area
-    };
+      priority: complaint.priority,
+      assignedTo: complaint.assignedToName || null,
+      mergedInto: parent ? parent.ticketId : null
+    });
+  } catch (error) {
+    console.error('Edit complaint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// WITHDRAW a complaint (User only) — body: { reason? }
+router.post('/:id/withdraw', auth(['user']), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.userId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only withdraw your own complaints' });
+    }
+
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `A complaint that is "${complaint.status}" cannot be withdrawn` });
+    }
+
+    // Status leaves ACTIVE_STATUSES, so the provider's load drops in the load balancer
+    const note = `Withdrawn by citizen${reason ? `: ${reason}` : ''}`;
+    complaint.status = 'Withdrawn';
+    clearPendingRequests(complaint);
+    complaint.updatedAt = new Date();
+    complaint.statusHistory.push({
+      status: 'Withdrawn',
+      timestamp: new Date(),
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note
+    });
+    await complaint.save();
+
+    if (complaint.assignedTo) {
+      const provider = await User.findById(complaint.assignedTo).select('name email').lean();
+      if (provider) {
+        try {
+          await sendComplaintWithdrawn(provider.email, provider.name, complaint, note);
+        } catch (emailErr) {
+          console.error('[Email] Failed to send withdrawal notification:', emailErr.message);
+        }
+      }
+    }
+    await notifyStatusChange(complaint, 'Withdrawn', note);
 
-    res.status(201).json(responseData);
+    res.json({ message: 'Complaint withdrawn', ticketId: complaint.ticketId, status: complaint.status });
   } catch (error) {
-    console.error('Create complaint error:', error.message);
-    console.error('Error details:', error);
-    res.status(500).json({ message: 'Server error creating complaint: ' + error.message });
+    console.error('Withdraw error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// REVERSE GEOCODE — frontend calls this to auto-fill address from GPS
-router.post('/reverse-geocode', auth(['user']), async (req, res) => {
+// ENDORSE ("me too") an existing complaint (User only) — follows it and can raise its priority
+router.post('/:id/endorse', auth(['user']), async (req, res) => {
   try {
-    const { latitude, longitude } = req.body;
-    if (!latitude || !longitude) {
-      return res.status(400).json({ message: 'Latitude and longitude required' });
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
     }
-    const result = await reverseGeocode(latitude, longitude);
-    res.json(result);
+
+    if (complaint.status === 'Merged') {
+      return res.status(400).json({ message: 'This complaint was merged into another ticket. Please endorse that one instead.' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: 'Only open complaints can be endorsed' });
+    }
+    if (complaint.userId.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You filed this complaint' });
+    }
+
+    const added = addFollower(complaint, { userId: req.user.id, name: req.user.name, email: req.user.email, via: 'endorsement' });
+    if (!added) {
+      return res.status(400).json({ message: 'You have already endorsed this complaint' });
+    }
+
+    complaint.updatedAt = new Date();
+    await complaint.save();
+
+    res.json({
+      message: 'Thank you! You will receive updates on this complaint.',
+      ticketId: complaint.ticketId,
+      endorsementCount: complaint.endorsementCount,
+      priority: complaint.priority
+    });
   } catch (error) {
-    res.status(500).json({ address: '', area: '' });
+    console.error('Endorse error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// REOPEN a completed complaint (User only) — body: { reason, photo? }
+router.post('/:id/reopen', auth(['user']), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'Please tell us why you are reopening this complaint' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+
+    if (complaint.userId.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only reopen your own complaints' });
+    }
+
+    if (complaint.status !== 'Completed') {
+      return res.status(400).json({ message: 'Only completed complaints can be reopened' });
+    }
+
+    // Reopen window counts from the latest completion
+    const completedEntry = [...complaint.statusHistory].reverse().find(h => h.status === 'Completed');
+    const completedAt = completedEntry?.timestamp || complaint.updatedAt;
+    const windowEnds = new Date(completedAt.getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      return res.status(400).json({
+        message: `Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of completion. Please file a new complaint.`
+      });
+    }
+
+    let photos = [];
+    if (req.body.photo) {
+      try {
+        photos = [{ ...(await saveImage(req.body.photo, { folder: 'reopen' })), kind: 'reopen', uploadedAt: new Date() }];
+      } catch (storageErr) {
+        console.error('[Reopen] Failed to store photo:', storageErr.message);
+        if (storageErr.code === 'INVALID_IMAGE') {
+          return res.status(400).json({ message: 'Could not process the photo. Please retake and try again.' });
+        }
+        return res.status(500).json({ message: 'Server error storing photo' });
+      }
+    }
+
+    // Route back to the provider who completed it, if they still serve this department
+    const previousProviderId = complaint.assignedTo;
+    let provider = previousProviderId
+      ? await User.findOne({ _id: previousProviderId, role: 'provider', department: complaint.department }).select('_id name email').lean()
+      : null;
+    if (!provider) {
+      provider = await assignProviderForDepartment(complaint.department);
+    }
+
+    if (previousProviderId) {
+      await User.updateOne({ _id: previousProviderId }, { $inc: { reopenCount: 1 } });
+    }
+
+    const now = new Date();
+    complaint.statusHistory.push({
+      status: 'Reopened',
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Reopened by citizen: ${reason}`,
+      photos,
+      previousRating: complaint.rating,
+      previousFeedback: complaint.feedback
+    });
+
+    complaint.status = 'Reopened';
+    complaint.reopenCount = (complaint.reopenCount || 0) + 1;
+    complaint.rating = undefined;
+    complaint.feedback = undefined;
+    assignComplaint(complaint, provider, { reason: 'Reopened by citizen' });
+    complaint.sla = computeSlaDueDates(complaint.department, complaint.priority, now);
+    complaint.updatedAt = now;
+    await complaint.save();
+
+    if (provider) {
+      try {
+        await sendComplaintAssignment(provider.email, provider.name, complaint);
+        console.log(`[Email] Reopen assignment sent to ${provider.email}`);
+      } catch (emailErr) {
+        console.error('[Email] Failed to send reopen assignment:', emailErr.message);
+      }
+    }
+    await notifyStatusChange(complaint, 'Reopened', reason, photos);
+
+    res.json({
+      message: 'Complaint reopened',
+      ticketId: complaint.ticketId,
+      status: complaint.status,
+      assignedTo: provider ? provider.name : null,
+      reopenCount: complaint.reopenCount
+    });
+  } catch (error) {
+    console.error('Reopen error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// RATE a completed complaint (User only)
-router.put('/:id/rate', auth(['user']), async (req, res) => {
+// RATE a completed complaint (User only) — honours an Idempotency-Key header
+router.put('/:id/rate', auth(['user']), idempotency('complaint:rate'), async (req, res) => {
   try {
     const { rating, feedback } = req.body;
 
@@ -310,7 +993,7 @@ router.put('/:id/rate', auth(['user']), async (req, res) => {
       return res.status(400).json({ message: 'Rating must be between 1 and 5' });
     }
 
-    const complaint = await Complaint.findById(req.params.id);
+    const complaint = await findComplaintByRef(req.params.id);
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
@@ -339,29 +1022,45 @@ router.put('/:id/rate', auth(['user']), async (req, res) => {
   }
 });
 
-// GET user's complaints (My Complaints)
+// GET user's complaints (My Complaints) — paginated like the management listing
 router.get('/my', auth(['user']), async (req, res) => {
   try {
-    const complaints = await Complaint.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .populate('assignedTo', 'name email')
-      .lean();
-    res.json(complaints);
+    const result = await findComplaintsPage(req.query, {
+      baseFilter: { userId: new mongoose.Types.ObjectId(req.user.id) },
+      project: { followers: 0 }, // citizens see their own tracking codes, not who follows
+      populate: [{ path: 'assignedTo', select: 'name email' }]
+    });
+    setPaginationHeaders(res, result);
+    res.json(result.items);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// GET single complaint
+// GET single complaint — by ObjectId or ticket ID (TNSMP-CHN-2026-000123)
 router.get('/:id', auth(), async (req, res) => {
   try {
-    const complaint = await Complaint.findById(req.params.id)
+    const complaint = await findComplaintByRef(req.params.id)
       .populate('userId', 'name email')
       .populate('assignedTo', 'name email');
-    if (!complaint) {
+    // Not found and not allowed look the same, so ticket IDs cannot be probed
+    if (!complaint || !canViewComplaint(complaint, req.user)) {
       return res.status(404).json({ message: 'Complaint not found' });
     }
-    res.json(complaint);
+
+    // Provider proof-of-work photos, collected from the status history
+    const proofOfWork = { before: [], after: [] };
+    for (const entry of complaint.statusHistory) {
+      for (const photo of entry.photos || []) {
+        proofOfWork[photo.kind]?.push({ ...photo.toObject(), status: entry.status, updatedByName: entry.updatedByName });
+      }
+    }
+
+    // Who follows a complaint is for staff only; citizens see the count
+    const view = { ...complaint.toObject(), proofOfWork };
+    if (!['provider', 'management'].includes(req.user.role)) delete view.followers;
+
+    res.json(view);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,191 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { FALLBACK_DEPARTMENT, loadDepartments, listDepartments, departmentLabel } = require('../utils/departments');
+
+const router = express.Router();
+
+const PRIORITIES = Complaint.schema.path('priority').enumValues;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a create / update body. Only the fields present are returned, so an update
+ * leaves everything else alone. Returns { update } or { error }.
+ */
+function parseDepartmentBody(body = {}, { creating }) {
+  const update = {};
+
+  if (creating) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 60) return { error: 'A department name of at most 60 characters is required' };
+    update.name = name;
+  }
+
+  if (body.displayName !== undefined) {
+    const { en, ta } = body.displayName || {};
+    if ([en, ta].some(v => v !== undefined && typeof v !== 'string')) return { error: 'displayName must be { en, ta } text' };
+    if (en !== undefined) update['displayName.en'] = en;
+    if (ta !== undefined) update['displayName.ta'] = ta;
+  }
+
+  if (body.visionKeywords !== undefined) {
+    if (!Array.isArray(body.visionKeywords) || body.visionKeywords.some(k => typeof k !== 'string')) {
+      return { error: 'visionKeywords must be a list of words' };
+    }
+    update.visionKeywords = [...new Set(body.visionKeywords.map(k => k.trim().toLowerCase()).filter(Boolean))];
+  }
+
+  for (const field of ['visionWeight', 'priorityBoost', 'sortOrder']) {
+    if (body[field] === undefined) continue;
+    if (!isNumber(body[field])) return { error: `${field} must be a non-negative number` };
+    update[field] = body[field];
+  }
+
+  // { High: { accept: 6, complete: 48 }, Low: null } — null drops back to the default
+  if (body.sla !== undefined) {
+    if (!body.sla || typeof body.sla !== 'object') return { error: 'sla must be an object keyed by priority' };
+    for (const [priority, targets] of Object.entries(body.sla)) {
+      if (!PRIORITIES.includes(priority)) return { error: `Unknown priority in sla: ${priority}` };
+      if (targets === null) {
+        update[`sla.${priority}`] = undefined;
+        continue;
+      }
+      const { accept, complete } = targets;
+      if ((accept !== undefined && !(isNumber(accept) && accept > 0)) || (complete !== undefined && !(isNumber(complete) && complete > 0))) {
+        return { error: `sla.${priority} hours must be positive numbers` };
+      }
+      update[`sla.${priority}`] = { accept, complete };
+    }
+  }
+
+  if (body.contactEmails !== undefined) {
+    if (!Array.isArray(body.contactEmails)) return { error: 'contactEmails must be a list of email addresses' };
+    const emails = body.contactEmails.map(e => String(e).trim().toLowerCase()).filter(Boolean);
+    const invalid = emails.find(e => !EMAIL_PATTERN.test(e));
+    if (invalid) return { error: `Invalid contact email: ${invalid}` };
+    update.contactEmails = [...new Set(emails)];
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    update.active = body.active;
+  }
+
+  return { update };
+}
+
+// GET active departments — no auth, for the complaint form and provider sign-up
+router.get('/', (req, res) => {
+  res.json(listDepartments().map(d => ({ name: d.name, label: departmentLabel(d.name, req.lang) })));
+});
+
+// GET the full registry including inactive departments (Management)
+router.get('/all', auth(['management']), async (req, res) => {
+  try {
+    res.json(await Department.find().sort({ sortOrder: 1, name: 1 }).lean());
+  } catch (error) {
+    console.error('Department list error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// CREATE a department (Management) — body: { name, displayName, visionKeywords, visionWeight,
+// priorityBoost, sla, contactEmails, active, sortOrder }
+router.post('/', auth(['management']), async (req, res) => {
+  try {
+    const { update, error } = parseDepartmentBody(req.body, { creating: true });
+    if (error) return res.status(400).json({ message: error });
+
+    const existing = await Department.findOne({ name: update.name }).collation({ locale: 'en', strength: 2 }).lean();
+    if (existing) {
+      return res.status(400).json({ message: `Department ${existing.name} already exists` });
+    }
+
+    // New departments go to the end of the list unless placed explicitly
+    if (update.sortOrder === undefined) {
+      update.sortOrder = Math.max(0, ...listDepartments({ includeInactive: true }).map(d => d.sortOrder || 0)) + 1;
+    }
+
+    const department = await Department.create(update);
+    await loadDepartments();
+    console.log(`[Departments] ${department.name} created by ${req.user.email}`);
+    res.status(201).json({ message: `Department ${department.name} created`, department });
+  } catch (error) {
+    console.error('Create department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UPDATE a department (Management) — same body as create, without name
+router.put('/:id', auth(['management']), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    const department = await Department.findById(req.params.id);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    if (req.body.name !== undefined && req.body.name !== department.name) {
+      return res.status(400).json({ message: 'Department names cannot be changed; update displayName instead' });
+    }
+
+    const { update, error } = parseDepartmentBody(req.body, { creating: false });
+    if (error) return res.status(400).json({ message: error });
+    if (update.active === false && department.name === FALLBACK_DEPARTMENT) {
+      return res.status(400).json({ message: `${FALLBACK_DEPARTMENT} cannot be deactivated` });
+    }
+
+    department.set(update);
+    await department.save();
+    await loadDepartments();
+    console.log(`[Departments] ${department.name} updated by ${req.user.email}`);
+    res.json({ message: `Department ${department.name} updated`, department });
+  } catch (error) {
+    console.error('Update department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE a department nothing refers to yet (Management); used ones can only be deactivated
+router.delete('/:id', auth(['management']), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    const department = await Department.findById(req.params.id).lean();
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    if (department.name === FALLBACK_DEPARTMENT) {
+      return res.status(400).json({ message: `${FALLBACK_DEPARTMENT} cannot be removed` });
+    }
+
+    const [complaints, providers] = await Promise.all([
+      Complaint.countDocuments({ department: department.name }),
+      User.countDocuments({ role: 'provider', department: department.name })
+    ]);
+    if (complaints || providers) {
+      return res.status(400).json({
+        message: `${department.name} has ${complaints} complaint(s) and ${providers} provider(s). Deactivate it instead.`
+      });
+    }
+
+    await Department.deleteOne({ _id: department._id });
+    await loadDepartments();
+    console.log(`[Departments] ${department.name} removed by ${req.user.email}`);
+    res.json({ message: `Department ${department.name} removed` });
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,203 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Complaint = require('../models/Complaint');
 const auth = require('../middleware/auth');
-const { sendProviderCredentials } = require('../utils/mailer');
+const mongoose = require('mongoose');
+const { sendProviderCredentials, sendComplaintAssignment, sendAssignmentDigest } = require('../utils/mailer');
+const { computeSlaDueDates } = require('../utils/sla');
+const { buildComplaintFilter, findComplaintsPage, setPaginationHeaders } = require('../utils/complaintQuery');
+const { EXPORT_SELECT, streamComplaintsCsv, streamComplaintsXlsx, writeDashboardPdf } = require('../utils/export');
+const { complaintRefFilter, findComplaintByRef } = require('../utils/ticketId');
+const { findRecurringHotspots } = require('../utils/analytics');
+const { isDepartment } = require('../utils/departments');
+const {
+  ACTIVE_STATUSES,
+  AWAITING_ACCEPTANCE_STATUSES,
+  assignProviderForDepartment,
+  assignComplaint,
+  clearPendingRequests,
+  applyDepartmentChange,
+  resolveDepartmentChange,
+  notifyReassignment,
+  notifyStatusChange,
+  addFollower,
+  removeFollowersFrom
+} = require('../utils/workflow');
 
 const router = express.Router();
 
+const BULK_ACTIONS = ['reassign', 'priority', 'department', 'reject', 'close'];
+// Merging has its own endpoint, since it moves followers to the parent
+const OVERRIDE_STATUSES = Complaint.schema.path('status').enumValues.filter(s => s !== 'Merged');
+const MAX_BULK_ITEMS = 200;
+
+// ---------- HELPERS ----------
+
+// Per-item refusal in a bulk action — reported back for that complaint, not a request failure
+function skipItem(message) {
+  const err = new Error(message);
+  err.code = 'BULK_SKIPPED';
+  return err;
+}
+
+/**
+ * Apply one bulk action to a loaded complaint (not saved). Returns what changed so
+ * the caller can batch notifications: { note, statusChanged, previousProviderId, newProvider, leftQueue }
+ */
+async function applyBulkAction(complaint, action, params, now) {
+  if (!ACTIVE_STATUSES.includes(complaint.status)) {
+    throw skipItem(`Complaint is ${complaint.status} and can no longer be changed`);
+  }
+
+  const reason = params.reason ? `: ${params.reason}` : '';
+  const previousProviderId = complaint.assignedTo?.toString() || null;
+  let status = complaint.status;
+  let note;
+  let newProvider = null;
+
+  switch (action) {
+    case 'reassign': {
+      const provider = params.provider;
+      if (provider.department !== complaint.department) {
+        throw skipItem(`${provider.name} is not in the ${complaint.department} department`);
+      }
+      if (previousProviderId === provider._id.toString()) throw skipItem(`Already assigned to ${provider.name}`);
+      // Names stay in assignmentHistory — statusHistory notes reach the public tracker
+      note = `Reassigned by management${reason}`;
+      assignComplaint(complaint, provider, { method: 'management', by: params.actor, reason: params.reason || undefined });
+      newProvider = provider;
+      break;
+    }
+    case 'priority': {
+      if (complaint.priority === params.priority) throw skipItem(`Priority is already ${params.priority}`);
+      note = `Priority changed from ${complaint.priority} to ${params.priority} by management${reason}`;
+      complaint.priority = params.priority;
+      // Keep any breach flags — only the due dates move with the new priority
+      const dueDates = computeSlaDueDates(complaint.department, params.priority, complaint.createdAt);
+      complaint.set('sla.acceptBy', dueDates.acceptBy);
+      complaint.set('sla.completeBy', dueDates.completeBy);
+      break;
+    }
+    case 'department': {
+      if (complaint.department === params.department) throw skipItem(`Already in ${params.department}`);
+      // Records its own history entries, so it returns directly
+      const change = await applyDepartmentChange(complaint, params.department, {
+        via: 'management',
+        reason: params.reason || undefined,
+        by: params.actor
+      });
+      return {
+        note: change.note,
+        statusChanged: complaint.status !== status,
+        previousProviderId,
+        newProvider: change.provider,
+        leftQueue: true
+      };
+    }
+    case 'reject':
+      status = 'Rejected';
+      note = `Rejected by management${reason}`;
+      break;
+    case 'close':
+      status = 'Completed';
+      note = `Closed by management${reason}`;
+      break;
+  }
+
+  const statusChanged = status !== complaint.status;
+  // The previous provider no longer has this complaint to work on
+  const leftQueue = !!newProvider || !ACTIVE_STATUSES.includes(status);
+  if (!ACTIVE_STATUSES.includes(status)) clearPendingRequests(complaint);
+  complaint.status = status;
+  complaint.updatedAt = now;
+  complaint.statusHistory.push({
+    status,
+    timestamp: now,
+    updatedBy: params.actor.id,
+    updatedByName: params.actor.name,
+    note
+  });
+
+  return { note, statusChanged, previousProviderId, newProvider, leftQueue };
+}
+
+// Turn a merged or duplicate-rejected complaint back into an independent ticket: it leaves
+// its parent, is routed to a provider and starts a fresh SLA. Saves and notifies.
+async function restoreAsIndependent(child, actor, note) {
+  const parent = child.mergedInto ? await Complaint.findById(child.mergedInto) : null;
+  if (parent) {
+    removeFollowersFrom(parent, child.ticketId);
+    parent.updatedAt = new Date();
+    await parent.save();
+  }
+
+  const provider = await assignProviderForDepartment(child.department);
+  const now = new Date();
+
+  child.status = 'Registered';
+  child.isDuplicate = false;
+  child.duplicateOf = undefined;
+  child.mergedInto = undefined;
+  assignComplaint(child, provider, { reason: 'Restored as an independent ticket by management' });
+  child.sla = computeSlaDueDates(child.department, child.priority, now);
+  child.updatedAt = now;
+  child.statusHistory.push({
+    status: 'Registered',
+    timestamp: now,
+    updatedBy: actor.id,
+    updatedByName: actor.name,
+    note
+  });
+  await child.save();
+
+  if (provider) {
+    try {
+      await sendComplaintAssignment(provider.email, provider.name, child);
+    } catch (emailErr) {
+      console.error('[Email] Failed to send assignment notification:', emailErr.message);
+    }
+  }
+  await notifyStatusChange(child, 'Registered', note);
+
+  return { provider };
+}
+
+// Send bulk-action emails once all items are processed: one digest per affected
+// provider, and the usual status update to citizens whose complaint changed status
+async function sendBulkNotifications(changes, reason) {
+  const digests = new Map();
+  const digestFor = id => {
+    if (!digests.has(id)) digests.set(id, { assigned: [], removed: [] });
+    return digests.get(id);
+  };
+
+  for (const { complaint, previousProviderId, newProvider, leftQueue } of changes) {
+    const newProviderId = newProvider?._id.toString() || null;
+    if (newProviderId === previousProviderId) continue;
+    if (newProviderId) digestFor(newProviderId).assigned.push(complaint);
+    if (previousProviderId && leftQueue) digestFor(previousProviderId).removed.push(complaint);
+  }
+
+  const providers = await User.find({ _id: { $in: [...digests.keys()] } }).select('name email').lean();
+  for (const provider of providers) {
+    try {
+      await sendAssignmentDigest(provider.email, provider.name, digests.get(provider._id.toString()), reason);
+    } catch (emailErr) {
+      console.error(`[Email] Failed to send assignment digest to ${provider.email}:`, emailErr.message);
+    }
+  }
+
+  for (const { complaint, note, statusChanged } of changes) {
+    if (statusChanged) await notifyStatusChange(complaint, complaint.status, note);
+  }
+}
+
 // CREATE service provider (Management only)
 router.post('/providers', auth(['management']), async (req, res) => {
   try {
     const { name, email, department, password } = req.body;
+    if (!isDepartment(department)) {
+      return res.status(400).json({ message: 'A valid department is required' });
+    }
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -79,140 +268,765 @@ router.delete('/providers/:id', auth(['management']), async (req, res) => {
   }
 });
 
-// GET dashboard stats (Management) — OPTIMIZED with aggregation pipelines
+// Dashboard figures — OPTIMIZED with aggregation pipelines (shared by the JSON and PDF endpoints)
+async function buildDashboardStats() {
+  // Single aggregation for all status + department + priority counts
+  const now = new Date();
+  const overdueFields = 'ticketId department area priority status assignedTo assignedToName createdAt sla';
+  const overdueAcceptanceFilter = { status: { $in: AWAITING_ACCEPTANCE_STATUSES }, 'sla.acceptBy': { $lt: now } };
+  const overdueCompletionFilter = { status: { $in: ACTIVE_STATUSES }, 'sla.completeBy': { $lt: now } };
+
+  const [statusDeptAgg, priorityAgg, providerWorkloadAgg, userCounts, recentComplaints, overdueAcceptance, overdueCompletion, overdueCounts, hotspots] = await Promise.all([
+    // 1. Status counts by department (single aggregation replaces 50+ queries)
+    Complaint.aggregate([
+      {
+        $group: {
+          _id: { department: '$department', status: '$status' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    // 2. Priority breakdown (single aggregation replaces 4 queries)
+    Complaint.aggregate([
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]),
+
+    // 3. Provider workload (single aggregation replaces N*2 queries per provider)
+    Complaint.aggregate([
+      { $match: { assignedTo: { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: { assignedTo: '$assignedTo', status: '$status' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+
+    // 4. User/provider counts (2 queries in parallel)
+    Promise.all([
+      User.countDocuments({ role: 'user' }),
+      User.countDocuments({ role: 'provider' })
+    ]),
+
+    // 5. Recent complaints — EXCLUDE photo field for speed
+    Complaint.find()
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .populate('userId', 'name email')
+      .populate('assignedTo', 'name email')
+      .lean(),
+
+    // 6. SLA — complaints still not accepted past their acceptance due date
+    Complaint.find(overdueAcceptanceFilter)
+      .select(overdueFields)
+      .sort({ 'sla.acceptBy': 1 })
+      .limit(50)
+      .lean(),
+
+    // 7. SLA — open complaints past their completion due date
+    Complaint.find(overdueCompletionFilter)
+      .select(overdueFields)
+      .sort({ 'sla.completeBy': 1 })
+      .limit(50)
+      .lean(),
+
+    // 8. SLA — full overdue counts (the lists above are capped)
+    Promise.all([
+      Complaint.countDocuments(overdueAcceptanceFilter),
+      Complaint.countDocuments(overdueCompletionFilter)
+    ]),
+
+    // 9. Recurring hotspots — places that keep generating complaints
+    findRecurringHotspots({ limit: 5 })
+  ]);
+
+  // Process status/dept aggregation into overview + department stats
+  const overview = { totalComplaints: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, reopened: 0, withdrawn: 0, totalUsers: userCounts[0], totalProviders: userCounts[1] };
+  const deptMap = {};
+
+  for (const item of statusDeptAgg) {
+    const dept = item._id.department;
+    const status = item._id.status;
+    const count = item.count;
+
+    overview.totalComplaints += count;
+    if (status === 'Registered') overview.registered += count;
+    else if (status === 'Accepted') overview.accepted += count;
+    else if (status === 'Working On') overview.workingOn += count;
+    else if (status === 'Completed') overview.completed += count;
+    else if (status === 'Reopened') overview.reopened += count;
+    else if (status === 'Withdrawn') overview.withdrawn += count;
+
+    if (!deptMap[dept]) deptMap[dept] = { department: dept, total: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, reopened: 0, providers: 0, providerDetails: [] };
+    deptMap[dept].total += count;
+    if (status === 'Registered') deptMap[dept].registered += count;
+    else if (status === 'Accepted') deptMap[dept].accepted += count;
+    else if (status === 'Working On') deptMap[dept].workingOn += count;
+    else if (status === 'Completed') deptMap[dept].completed += count;
+    else if (status === 'Reopened') deptMap[dept].reopened += count;
+  }
+
+  // Process priority aggregation
+  const priorityBreakdown = { critical: 0, high: 0, medium: 0, low: 0 };
+  for (const item of priorityAgg) {
+    if (item._id === 'Critical') priorityBreakdown.critical = item.count;
+    else if (item._id === 'High') priorityBreakdown.high = item.count;
+    else if (item._id === 'Medium') priorityBreakdown.medium = item.count;
+    else if (item._id === 'Low') priorityBreakdown.low = item.count;
+  }
+
+  // Process provider workload aggregation
+  const providerLoadMap = {};
+  for (const item of providerWorkloadAgg) {
+    const pid = item._id.assignedTo.toString();
+    if (!providerLoadMap[pid]) providerLoadMap[pid] = { active: 0, completed: 0 };
+    if (ACTIVE_STATUSES.includes(item._id.status)) {
+      providerLoadMap[pid].active += item.count;
+    } else if (item._id.status === 'Completed') {
+      providerLoadMap[pid].completed += item.count;
+    }
+  }
+
+  // Get all providers and attach workload data
+  const allProviders = await User.find({ role: 'provider' })
+    .select('name email department loginCount lastLogin reopenCount').lean();
+
+  for (const p of allProviders) {
+    const dept = p.department;
+    if (!deptMap[dept]) deptMap[dept] = { department: dept, total: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, reopened: 0, providers: 0, providerDetails: [] };
+    deptMap[dept].providers++;
+    const load = providerLoadMap[p._id.toString()] || { active: 0, completed: 0 };
+    deptMap[dept].providerDetails.push({
+      _id: p._id,
+      name: p.name,
+      email: p.email,
+      activeComplaints: load.active,
+      completedComplaints: load.completed,
+      reopenedComplaints: p.reopenCount || 0,
+      isBusy: load.active > 0
+    });
+  }
+
+  const departmentStats = Object.values(deptMap).filter(d => d.total > 0 || d.providers > 0);
+
+  // SLA overdue lists, with how long each complaint has been overdue
+  const withOverdueHours = (list, dueKey) => list.map(c => ({
+    ...c,
+    overdueHours: Math.round((now - new Date(c.sla[dueKey])) / (60 * 60 * 1000))
+  }));
+  const overdue = {
+    notAccepted: withOverdueHours(overdueAcceptance, 'acceptBy'),
+    notCompleted: withOverdueHours(overdueCompletion, 'completeBy')
+  };
+  overview.overdueAcceptance = overdueCounts[0];
+  overview.overdueCompletion = overdueCounts[1];
+
+  return { overview, departmentStats, priorityBreakdown, recentComplaints, overdue, hotspots };
+}
+
+// GET dashboard stats (Management)
 router.get('/dashboard', auth(['management']), async (req, res) => {
   try {
-    // Single aggregation for all status + department + priority counts
-    const [statusDeptAgg, priorityAgg, providerWorkloadAgg, userCounts, recentComplaints] = await Promise.all([
-      // 1. Status counts by department (single aggregation replaces 50+ queries)
-      Complaint.aggregate([
-        {
-          $group: {
-            _id: { department: '$department', status: '$status' },
-            count: { $sum: 1 }
-          }
+    res.json(await buildDashboardStats());
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET all complaints (Management) — paginated; filters: department, status, priority, from, to, q
+// sort=priority|created|updated&order=asc|desc, page & limit (totals in X-Total-Count / X-Total-Pages headers)
+router.get('/complaints', auth(['management']), async (req, res) => {
+  try {
+    const result = await findComplaintsPage(req.query, {
+      populate: [
+        { path: 'userId', select: 'name email' },
+        { path: 'assignedTo', select: 'name email department' }
+      ]
+    });
+    setPaginationHeaders(res, result);
+    res.json(result.items);
+  } catch (error) {
+    console.error('List complaints error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// EXPORT complaints (Management) — format=csv|xlsx, same filters as GET /complaints
+// Rows are streamed from a cursor so district-wide exports never load in memory
+router.get('/export/complaints', auth(['management']), async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv or xlsx' });
+  }
+
+  const cursor = Complaint.find(buildComplaintFilter(req.query))
+    .select(EXPORT_SELECT)
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+  const filename = `complaints-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    if (format === 'xlsx') await streamComplaintsXlsx(cursor, res, filename);
+    else await streamComplaintsCsv(cursor, res, filename);
+  } catch (error) {
+    console.error('Export complaints error:', error.message);
+    await cursor.close().catch(() => {});
+    // Once streaming has started the only option left is to cut the download short
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// EXPORT dashboard summary as PDF (Management)
+router.get('/export/dashboard.pdf', auth(['management']), async (req, res) => {
+  try {
+    const stats = await buildDashboardStats();
+    writeDashboardPdf(stats, res, `dashboard-${new Date().toISOString().slice(0, 10)}.pdf`);
+  } catch (error) {
+    console.error('Export dashboard error:', error.message);
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// MERGE a complaint into a parent ticket (Management) — body: { parentId, note }
+router.post('/complaints/:id/merge', auth(['management']), async (req, res) => {
+  try {
+    const { parentId, note } = req.body;
+    if (!parentId) {
+      return res.status(400).json({ message: 'parentId is required' });
+    }
+
+    // Either may be given as an ObjectId or a ticket ID
+    const [child, parent] = await Promise.all([
+      findComplaintByRef(req.params.id),
+      findComplaintByRef(parentId)
+    ]);
+    if (!child || !parent) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (child._id.equals(parent._id)) {
+      return res.status(400).json({ message: 'A complaint cannot be merged into itself' });
+    }
+    if (child.status === 'Merged') {
+      return res.status(400).json({ message: `${child.ticketId} is already merged. Unmerge it first.` });
+    }
+    if (parent.status === 'Merged') {
+      return res.status(400).json({ message: `${parent.ticketId} is itself merged into another ticket` });
+    }
+    for (const complaint of [child, parent]) {
+      if (!ACTIVE_STATUSES.includes(complaint.status)) {
+        return res.status(400).json({ message: `${complaint.ticketId} is ${complaint.status} and cannot be merged` });
+      }
+    }
+
+    // The child's citizen and its followers now follow the parent
+    const newFollowers = [
+      { userId: child.userId, name: child.userName, email: child.userEmail },
+      ...child.followers.map(f => ({ userId: f.userId, name: f.name, email: f.email }))
+    ];
+    for (const f of newFollowers) {
+      addFollower(parent, { ...f, via: 'duplicate', ticketId: child.ticketId });
+    }
+    parent.updatedAt = new Date();
+
+    const historyNote = `Merged into ${parent.ticketId} by management${note ? `: ${note}` : ''}`;
+    child.status = 'Merged';
+    clearPendingRequests(child);
+    // The parent's provider does the work; unmerging routes the child afresh
+    assignComplaint(child, null, { method: 'management', by: req.user, reason: `Merged into ${parent.ticketId}` });
+    child.isDuplicate = true;
+    child.duplicateOf = parent.ticketId;
+    child.mergedInto = parent._id;
+    child.updatedAt = new Date();
+    child.statusHistory.push({
+      status: 'Merged',
+      timestamp: new Date(),
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: historyNote
+    });
+
+    await parent.save();
+    await child.save();
+
+    await notifyStatusChange(child, 'Merged', `${historyNote}. You will now receive updates for ${parent.ticketId}.`);
+
+    res.json({ message: `${child.ticketId} merged into ${parent.ticketId}`, endorsementCount: parent.endorsementCount, priority: parent.priority });
+  } catch (error) {
+    console.error('Merge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UNMERGE a complaint from its parent (Management) — it becomes an independent ticket again
+router.post('/complaints/:id/unmerge', auth(['management']), async (req, res) => {
+  try {
+    const child = await findComplaintByRef(req.params.id);
+    if (!child) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (child.status !== 'Merged') {
+      return res.status(400).json({ message: `${child.ticketId} is not merged` });
+    }
+
+    const note = `Unmerged from ${child.duplicateOf} by management${req.body.note ? `: ${req.body.note}` : ''}`;
+    const { provider } = await restoreAsIndependent(child, req.user, note);
+
+    res.json({ message: `${child.ticketId} unmerged`, assignedTo: provider ? provider.name : null });
+  } catch (error) {
+    console.error('Unmerge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ---------- OVERRIDES ----------
+// Management corrections of AI decisions and the provider workflow. Each requires a note and
+// is recorded in complaint.overrides, so AI accuracy can be measured against human decisions.
+
+function overrideNote(body) {
+  return typeof body.note === 'string' ? body.note.trim() : '';
+}
+
+function recordOverride(complaint, kind, from, to, note, actor) {
+  complaint.overrides.push({ kind, from, to, note, by: actor.id, byName: actor.name, at: new Date() });
+}
+
+// OVERRIDE priority (Management) — body: { priority, note }
+router.put('/complaints/:id/priority', auth(['management']), async (req, res) => {
+  try {
+    const { priority } = req.body;
+    const note = overrideNote(req.body);
+    if (!note) {
+      return res.status(400).json({ message: 'A note explaining the override is required' });
+    }
+    if (!Complaint.schema.path('priority').enumValues.includes(priority)) {
+      return res.status(400).json({ message: 'A valid priority is required' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (complaint.priority === priority) {
+      return res.status(400).json({ message: `Priority is already ${priority}` });
+    }
+
+    const now = new Date();
+    const previous = complaint.priority;
+    recordOverride(complaint, 'priority', previous, priority, note, req.user);
+    complaint.priority = priority;
+    if (ACTIVE_STATUSES.includes(complaint.status)) {
+      // Keep any breach flags — only the due dates move with the new priority
+      const dueDates = computeSlaDueDates(complaint.department, priority, complaint.createdAt);
+      complaint.set('sla.acceptBy', dueDates.acceptBy);
+      complaint.set('sla.completeBy', dueDates.completeBy);
+    }
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status: complaint.status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Priority overridden from ${previous} to ${priority} by management: ${note}`
+    });
+    await complaint.save();
+
+    res.json({ message: `Priority set to ${priority}`, priority, aiPriority: complaint.aiDecision?.priority || null, sla: complaint.sla });
+  } catch (error) {
+    console.error('Priority override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// UN-FLAG a duplicate (Management) — body: { note }
+// A merged or duplicate-rejected complaint goes back to "Registered" with a provider assigned
+router.post('/complaints/:id/unflag-duplicate', auth(['management']), async (req, res) => {
+  try {
+    const note = overrideNote(req.body);
+    if (!note) {
+      return res.status(400).json({ message: 'A note explaining the override is required' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (!complaint.isDuplicate || !['Merged', 'Rejected'].includes(complaint.status)) {
+      return res.status(400).json({ message: `${complaint.ticketId} is not flagged as a duplicate` });
+    }
+
+    recordOverride(complaint, 'duplicate', `Duplicate of ${complaint.duplicateOf || 'unknown'}`, 'Not a duplicate', note, req.user);
+    const { provider } = await restoreAsIndependent(complaint, req.user,
+      `Not a duplicate of ${complaint.duplicateOf || 'another ticket'} — restored by management: ${note}`);
+
+    res.json({ message: `${complaint.ticketId} restored as an independent complaint`, status: complaint.status, assignedTo: provider ? provider.name : null });
+  } catch (error) {
+    console.error('Unflag duplicate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// FORCE a status change outside the provider workflow (Management) — body: { status, note }
+router.put('/complaints/:id/status', auth(['management']), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const note = overrideNote(req.body);
+    if (!note) {
+      return res.status(400).json({ message: 'A note explaining the override is required' });
+    }
+    if (!OVERRIDE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${OVERRIDE_STATUSES.join(', ')}` });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (complaint.status === status) {
+      return res.status(400).json({ message: `Complaint is already ${status}` });
+    }
+    if (complaint.status === 'Merged') {
+      return res.status(400).json({ message: 'Unmerge the complaint before changing its status' });
+    }
+
+    const now = new Date();
+    const previous = complaint.status;
+    let provider = null;
+
+    if (ACTIVE_STATUSES.includes(status)) {
+      if (!complaint.assignedTo) {
+        if (!AWAITING_ACCEPTANCE_STATUSES.includes(status)) {
+          return res.status(400).json({ message: 'Assign a provider before moving the complaint to this status' });
         }
-      ]),
+        provider = await assignProviderForDepartment(complaint.department);
+        assignComplaint(complaint, provider, { method: 'management', by: req.user, reason: note });
+      }
+      // A closed complaint brought back to life gets a fresh SLA
+      if (!ACTIVE_STATUSES.includes(previous)) {
+        complaint.sla = computeSlaDueDates(complaint.department, complaint.priority, now);
+      }
+    } else {
+      clearPendingRequests(complaint);
+    }
 
-      // 2. Priority breakdown (single aggregation replaces 4 queries)
+    recordOverride(complaint, 'status', previous, status, note, req.user);
+    complaint.status = status;
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Status overridden from ${previous} to ${status} by management: ${note}`
+    });
+    await complaint.save();
+
+    if (provider) await notifyReassignment(complaint, null, provider);
+    await notifyStatusChange(complaint, status, note);
+
+    res.json({ message: `Status changed from ${previous} to ${status}`, status, assignedTo: complaint.assignedToName || null });
+  } catch (error) {
+    console.error('Status override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET AI accuracy report (Management) — how often humans overrode the AI's priority and
+// duplicate decisions, and which way. Optional from/to on createdAt.
+router.get('/reports/ai-accuracy', auth(['management']), async (req, res) => {
+  try {
+    const { createdAt } = buildComplaintFilter({ from: req.query.from, to: req.query.to });
+    const match = { 'aiDecision.priority': { $exists: true } };
+    if (createdAt) match.createdAt = createdAt;
+
+    const lastOverride = kind => ({
+      $last: { $filter: { input: { $ifNull: ['$overrides', []] }, cond: { $eq: ['$$this.kind', kind] } } }
+    });
+
+    const [priorityAgg, duplicateAgg, statusAgg] = await Promise.all([
       Complaint.aggregate([
-        { $group: { _id: '$priority', count: { $sum: 1 } } }
+        { $match: match },
+        { $project: { ai: '$aiDecision.priority', override: lastOverride('priority') } },
+        { $group: { _id: { ai: '$ai', human: '$override.to' }, count: { $sum: 1 } } }
       ]),
-
-      // 3. Provider workload (single aggregation replaces N*2 queries per provider)
       Complaint.aggregate([
-        { $match: { assignedTo: { $exists: true, $ne: null } } },
-        {
-          $group: {
-            _id: { assignedTo: '$assignedTo', status: '$status' },
-            count: { $sum: 1 }
-          }
-        }
+        { $match: { ...match, 'aiDecision.isDuplicate': true } },
+        { $project: { override: lastOverride('duplicate') } },
+        { $group: { _id: null, flagged: { $sum: 1 }, overridden: { $sum: { $cond: [{ $ifNull: ['$override', false] }, 1, 0] } } } }
       ]),
+      Complaint.aggregate([
+        { $match: { ...match, 'overrides.kind': 'status' } },
+        { $unwind: '$overrides' },
+        { $match: { 'overrides.kind': 'status' } },
+        { $group: { _id: { from: '$overrides.from', to: '$overrides.to' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
 
-      // 4. User/provider counts (2 queries in parallel)
-      Promise.all([
-        User.countDocuments({ role: 'user' }),
-        User.countDocuments({ role: 'provider' })
-      ]),
+    const rate = (part, whole) => whole ? Math.round((part / whole) * 1000) / 10 : 0;
+
+    const assessed = priorityAgg.reduce((sum, p) => sum + p.count, 0);
+    const priorityOverrides = priorityAgg.filter(p => p._id.human && p._id.human !== p._id.ai);
+    const overridden = priorityOverrides.reduce((sum, p) => sum + p.count, 0);
+    const duplicates = duplicateAgg[0] || { flagged: 0, overridden: 0 };
 
-      // 5. Recent complaints — EXCLUDE photo field for speed
-      Complaint.find()
-        .sort({ createdAt: -1 })
-        .limit(10)
-        .populate('userId', 'name email')
-        .populate('assignedTo', 'name email')
-        .lean()
+    res.json({
+      priority: {
+        assessed,
+        overridden,
+        accuracy: rate(assessed - overridden, assessed),
+        // e.g. { ai: 'Low', human: 'Critical', count: 4 } — the AI under-rated 4 complaints
+        corrections: priorityOverrides
+          .map(p => ({ ai: p._id.ai, human: p._id.human, count: p.count }))
+          .sort((a, b) => b.count - a.count)
+      },
+      duplicates: {
+        flagged: duplicates.flagged,
+        overridden: duplicates.overridden,
+        falsePositiveRate: rate(duplicates.overridden, duplicates.flagged)
+      },
+      statusOverrides: statusAgg.map(s => ({ ...s._id, count: s.count }))
+    });
+  } catch (error) {
+    console.error('AI accuracy report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// REASSIGN a complaint to a specific provider (Management) — body: { providerId, reason }
+router.put('/complaints/:id/assign', auth(['management']), async (req, res) => {
+  try {
+    const { providerId } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!mongoose.isValidObjectId(providerId)) {
+      return res.status(400).json({ message: 'A valid providerId is required' });
+    }
+
+    const [complaint, provider] = await Promise.all([
+      findComplaintByRef(req.params.id),
+      User.findOne({ _id: providerId, role: 'provider' }).select('name email department').lean()
     ]);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be reassigned` });
+    }
+    if (provider.department !== complaint.department) {
+      return res.status(400).json({ message: `${provider.name} is not in the ${complaint.department} department` });
+    }
 
-    // Process status/dept aggregation into overview + department stats
-    const overview = { totalComplaints: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, totalUsers: userCounts[0], totalProviders: userCounts[1] };
-    const deptMap = {};
-
-    for (const item of statusDeptAgg) {
-      const dept = item._id.department;
-      const status = item._id.status;
-      const count = item.count;
-
-      overview.totalComplaints += count;
-      if (status === 'Registered') overview.registered += count;
-      else if (status === 'Accepted') overview.accepted += count;
-      else if (status === 'Working On') overview.workingOn += count;
-      else if (status === 'Completed') overview.completed += count;
-
-      if (!deptMap[dept]) deptMap[dept] = { department: dept, total: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, providers: 0, providerDetails: [] };
-      deptMap[dept].total += count;
-      if (status === 'Registered') deptMap[dept].registered += count;
-      else if (status === 'Accepted') deptMap[dept].accepted += count;
-      else if (status === 'Working On') deptMap[dept].workingOn += count;
-      else if (status === 'Completed') deptMap[dept].completed += count;
-    }
-
-    // Process priority aggregation
-    const priorityBreakdown = { critical: 0, high: 0, medium: 0, low: 0 };
-    for (const item of priorityAgg) {
-      if (item._id === 'Critical') priorityBreakdown.critical = item.count;
-      else if (item._id === 'High') priorityBreakdown.high = item.count;
-      else if (item._id === 'Medium') priorityBreakdown.medium = item.count;
-      else if (item._id === 'Low') priorityBreakdown.low = item.count;
-    }
-
-    // Process provider workload aggregation
-    const providerLoadMap = {};
-    for (const item of providerWorkloadAgg) {
-      const pid = item._id.assignedTo.toString();
-      if (!providerLoadMap[pid]) providerLoadMap[pid] = { active: 0, completed: 0 };
-      if (['Registered', 'Accepted', 'Working On'].includes(item._id.status)) {
-        providerLoadMap[pid].active += item.count;
-      } else if (item._id.status === 'Completed') {
-        providerLoadMap[pid].completed += item.count;
-      }
+    const previousProviderId = complaint.assignedTo;
+    const note = `Reassigned by management${reason ? `: ${reason}` : ''}`;
+    if (!assignComplaint(complaint, provider, { method: 'management', by: req.user, reason: reason || undefined })) {
+      return res.status(400).json({ message: `Already assigned to ${provider.name}` });
     }
+    complaint.updatedAt = new Date();
+    complaint.statusHistory.push({
+      status: complaint.status,
+      timestamp: new Date(),
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note
+    });
+    await complaint.save();
 
-    // Get all providers and attach workload data
-    const allProviders = await User.find({ role: 'provider' })
-      .select('name email department loginCount lastLogin').lean();
-
-    for (const p of allProviders) {
-      const dept = p.department;
-      if (!deptMap[dept]) deptMap[dept] = { department: dept, total: 0, registered: 0, accepted: 0, workingOn: 0, completed: 0, providers: 0, providerDetails: [] };
-      deptMap[dept].providers++;
-      const load = providerLoadMap[p._id.toString()] || { active: 0, completed: 0 };
-      deptMap[dept].providerDetails.push({
-        _id: p._id,
-        name: p.name,
-        email: p.email,
-        activeComplaints: load.active,
-        completedComplaints: load.completed,
-        isBusy: load.active > 0
-      });
+    await notifyReassignment(complaint, previousProviderId, provider, `Reassigned to ${provider.name} by management`);
+
+    res.json({ message: `${complaint.ticketId} assigned to ${provider.name}`, assignmentHistory: complaint.assignmentHistory });
+  } catch (error) {
+    console.error('Reassign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET pending department change requests (Management)
+router.get('/department-changes', auth(['management']), async (req, res) => {
+  try {
+    const requests = await Complaint.find({ 'departmentChangeRequest.toDepartment': { $exists: true } })
+      .select('ticketId department area priority status description assignedToName departmentDetection departmentChangeRequest createdAt')
+      .sort({ 'departmentChangeRequest.requestedAt': 1 })
+      .lean();
+    res.json(requests);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// APPROVE or DECLINE a provider's department change request (Management) — body: { reason } (decline only)
+router.post('/complaints/:id/department-change/:decision', auth(['management']), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['approve', 'decline'].includes(decision)) {
+      return res.status(404).json({ message: 'Unknown department change action' });
     }
 
-    const departmentStats = Object.values(deptMap).filter(d => d.total > 0 || d.providers > 0);
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint?.departmentChangeRequest?.toDepartment) {
+      return res.status(404).json({ message: 'No pending department change for this complaint' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be moved` });
+    }
 
-    res.json({ overview, departmentStats, priorityBreakdown, recentComplaints });
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const note = await resolveDepartmentChange(complaint, decision === 'approve', req.user, reason);
+    res.json({ message: note, department: complaint.department, assignedTo: complaint.assignedToName || null });
   } catch (error) {
-    console.error('Dashboard error:', error);
+    console.error('Department change decision error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// GET all complaints (Management)
-router.get('/complaints', auth(['management']), async (req, res) => {
+// GET misclassification report (Management) — how often each detection source routed
+// complaints to a department they were later moved out of. Optional from/to on createdAt.
+router.get('/reports/misclassification', auth(['management']), async (req, res) => {
   try {
-    const { department, status, priority } = req.query;
-    const filter = {};
-    if (department) filter.department = department;
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
+    const { createdAt } = buildComplaintFilter({ from: req.query.from, to: req.query.to });
+    const match = { 'departmentDetection.source': { $exists: true } };
+    if (createdAt) match.createdAt = createdAt;
 
-    const complaints = await Complaint.find(filter)
-      .sort({ createdAt: -1 })
-      .populate('userId', 'name email')
-      .populate('assignedTo', 'name email department')
-      .lean();
-    res.json(complaints);
+    // Misclassified = moved at least once and no longer in the department it was registered under
+    const misclassified = {
+      $and: [
+        { $gt: [{ $size: { $ifNull: ['$departmentHistory', []] } }, 0] },
+        { $ne: ['$department', '$departmentDetection.department'] }
+      ]
+    };
+
+    const [bySource, corrections] = await Promise.all([
+      Complaint.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$departmentDetection.source',
+            total: { $sum: 1 },
+            misclassified: { $sum: { $cond: [misclassified, 1, 0] } },
+            avgConfidence: { $avg: '$departmentDetection.confidence' }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]),
+      Complaint.aggregate([
+        { $match: { ...match, 'departmentHistory.0': { $exists: true } } },
+        { $match: { $expr: misclassified } },
+        {
+          $group: {
+            _id: { source: '$departmentDetection.source', detected: '$departmentDetection.department', actual: '$department' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    res.json({
+      sources: bySource.map(s => ({
+        source: s._id,
+        total: s.total,
+        misclassified: s.misclassified,
+        misclassificationRate: s.total ? Math.round((s.misclassified / s.total) * 1000) / 10 : 0,
+        avgConfidence: s.avgConfidence != null ? Math.round(s.avgConfidence) : null
+      })),
+      corrections: corrections.map(c => ({ ...c._id, count: c.count }))
+    });
+  } catch (error) {
+    console.error('Misclassification report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// BULK action on many complaints (Management)
+// body: { ids: [...] (ObjectIds or ticket IDs), action: reassign|priority|department|reject|close, providerId, priority, department, reason }
+// Each complaint succeeds or fails on its own; the response reports every item
+router.post('/complaints/bulk', auth(['management']), async (req, res) => {
+  try {
+    const { ids, action, providerId, priority, department } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!Array.isArray(ids) || !ids.length) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+    if (ids.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_ITEMS} complaints can be updated at once` });
+    }
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+
+    const params = { reason, actor: req.user };
+    if (action === 'reassign') {
+      params.provider = mongoose.isValidObjectId(providerId)
+        ? await User.findOne({ _id: providerId, role: 'provider' }).select('name email department').lean()
+        : null;
+      if (!params.provider) return res.status(400).json({ message: 'A valid providerId is required' });
+    }
+    if (action === 'priority') {
+      if (!Complaint.schema.path('priority').enumValues.includes(priority)) {
+        return res.status(400).json({ message: 'A valid priority is required' });
+      }
+      params.priority = priority;
+    }
+    if (action === 'department') {
+      if (!isDepartment(department)) {
+        return res.status(400).json({ message: 'A valid department is required' });
+      }
+      params.department = department;
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ message: 'A reason is required to reject complaints' });
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    // ids may mix ObjectIds and ticket IDs
+    const complaints = await Complaint.find({ $or: uniqueIds.map(complaintRefFilter) }).select('-photo');
+    const byId = new Map();
+    for (const c of complaints) {
+      byId.set(c._id.toString(), c);
+      byId.set(c.ticketId, c);
+    }
+
+    const now = new Date();
+    const results = [];
+    const changes = [];
+    for (const id of uniqueIds) {
+      const complaint = byId.get(id) || byId.get(id.toUpperCase());
+      if (!complaint) {
+        results.push({ id, success: false, message: 'Complaint not found' });
+        continue;
+      }
+      try {
+        const change = await applyBulkAction(complaint, action, params, now);
+        await complaint.save();
+        changes.push({ complaint, ...change });
+        results.push({ id, ticketId: complaint.ticketId, success: true, status: complaint.status, message: change.note });
+      } catch (err) {
+        if (err.code !== 'BULK_SKIPPED') console.error(`[Bulk] ${action} failed for ${complaint.ticketId}:`, err.message);
+        results.push({
+          id,
+          ticketId: complaint.ticketId,
+          success: false,
+          message: err.code === 'BULK_SKIPPED' ? err.message : 'Server error'
+        });
+      }
+    }
+
+    const succeeded = changes.length;
+    console.log(`[Bulk] ${req.user.name} ran ${action} on ${uniqueIds.length} complaint(s): ${succeeded} succeeded`);
+    res.json({ action, total: uniqueIds.length, succeeded, failed: uniqueIds.length - succeeded, results });
+
+    // Emails go out after the response so large batches don't hold the request open
+    sendBulkNotifications(changes, reason)
+      .catch(err => console.error('[Bulk] Notification error:', err.message));
   } catch (error) {
+    console.error('Bulk action error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
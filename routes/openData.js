@@ -0,0 +1,86 @@
+const express = require('express');
+const Complaint = require('../models/Complaint');
+const rateLimit = require('../middleware/rateLimit');
+const { parsePagination, setPaginationHeaders } = require('../utils/complaintQuery');
+const {
+  OPEN_DATA_SELECT,
+  resolveFields,
+  buildOpenDataFilter,
+  toRecord,
+  streamOpenDataCsv,
+  streamOpenDataGeoJson,
+  describeDataset
+} = require('../utils/openData');
+
+const router = express.Router();
+
+// No auth — anonymized, delayed complaint data for the state open-data portal
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.OPEN_DATA_RATE_LIMIT, 10) || 60,
+  message: 'Too many open-data requests. Please wait a minute and try again.'
+});
+
+// Full downloads scan the whole collection, so they are limited per hour
+const downloadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.OPEN_DATA_DOWNLOAD_LIMIT, 10) || 10,
+  message: 'Download limit reached. Please try again in an hour.'
+});
+
+// The data only changes once a day as tickets pass the delay
+const cacheFor = seconds => (req, res, next) => {
+  res.set('Cache-Control', `public, max-age=${seconds}`);
+  next();
+};
+
+// GET dataset description — published fields, delay, location precision, filters
+router.get('/', apiLimiter, cacheFor(3600), (req, res) => {
+  res.json(describeDataset());
+});
+
+// GET complaints — paginated JSON; filters: department, status, priority, district, districtId, talukId, wardId, from, to
+// fields=comma-separated subset of the published fields; page & limit (totals in X-Total-Count)
+router.get('/complaints', apiLimiter, cacheFor(3600), async (req, res) => {
+  try {
+    const filter = buildOpenDataFilter(req.query);
+    const fields = resolveFields(req.query.fields);
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [complaints, total] = await Promise.all([
+      Complaint.find(filter).select(OPEN_DATA_SELECT).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      Complaint.countDocuments(filter)
+    ]);
+
+    setPaginationHeaders(res, { total, page, limit, pages: Math.ceil(total / limit) });
+    res.json(complaints.map(c => toRecord(c, fields)));
+  } catch (error) {
+    console.error('[OpenData] Error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET bulk download — complaints.csv or complaints.geojson, same filters and fields as above
+router.get('/complaints.:format', downloadLimiter, cacheFor(3600), async (req, res) => {
+  const { format } = req.params;
+  if (!['csv', 'geojson'].includes(format)) {
+    return res.status(400).json({ message: 'format must be csv or geojson' });
+  }
+
+  const fields = resolveFields(req.query.fields);
+  const cursor = Complaint.find(buildOpenDataFilter(req.query)).select(OPEN_DATA_SELECT).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  const filename = `tnsmp-complaints-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  try {
+    if (format === 'csv') await streamOpenDataCsv(cursor, res, fields, filename);
+    else await streamOpenDataGeoJson(cursor, res, fields, filename);
+  } catch (error) {
+    console.error('[OpenData] Download error:', error.message);
+    await cursor.close().catch(() => {});
+    // Once streaming has started the only option left is to cut the download short
+    if (res.headersSent) res.destroy(error);
+    else res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,35 +1,71 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Complaint = require('../models/Complaint');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
-const { sendStatusUpdate } = require('../utils/mailer');
+const { checkImagePlausibility } = require('../utils/vision');
+const { saveImage, removeFile } = require('../utils/storage');
+const { sendTransferRequest, sendDepartmentChangeRequest } = require('../utils/mailer');
+const {
+  ACTIVE_STATUSES,
+  AWAITING_ACCEPTANCE_STATUSES,
+  assignProviderForDepartment,
+  assignComplaint,
+  clearPendingRequests,
+  resolveDepartmentChange,
+  notifyReassignment,
+  notifyStatusChange
+} = require('../utils/workflow');
+const { findComplaintsPage, setPaginationHeaders } = require('../utils/complaintQuery');
+const { isDepartment, getDepartment } = require('../utils/departments');
+const { findComplaintByRef } = require('../utils/ticketId');
+const { buildScorecards } = require('../utils/scorecards');
 
 const router = express.Router();
 
+const MAX_AFTER_PHOTOS = 5;
+
+// ---------- HELPERS ----------
+
+// Check proof-of-work photos against the complaint's department, then store them
+async function processProofPhotos(photos, department) {
+  const checks = await Promise.all(photos.map(p => checkImagePlausibility(p.data, department)));
+
+  const stored = [];
+  try {
+    for (let i = 0; i < photos.length; i++) {
+      const file = await saveImage(photos[i].data, { folder: 'proof-of-work' });
+      stored.push({ ...file, kind: photos[i].kind, ...checks[i], uploadedAt: new Date() });
+    }
+  } catch (err) {
+    for (const file of stored) await removeFile(file);
+    throw err;
+  }
+  return stored;
+}
+
 // GET complaints assigned to this specific provider (not all department complaints)
+// Paginated and sorted server-side — most urgent first unless ?sort= says otherwise
 router.get('/complaints', auth(['provider']), async (req, res) => {
   try {
     // Show complaints assigned to this provider, plus any unassigned ones in their department
-    const complaints = await Complaint.find({
-      department: req.user.department,
-      $or: [
-        { assignedTo: req.user.id },
-        { assignedTo: null },
-        { assignedTo: { $exists: false } }
+    const result = await findComplaintsPage(req.query, {
+      baseFilter: {
+        department: req.user.department,
+        $or: [
+          { assignedTo: new mongoose.Types.ObjectId(req.user.id) },
+          { assignedTo: null }
+        ]
+      },
+      defaultSort: 'priority',
+      populate: [
+        { path: 'userId', select: 'name email phone' },
+        { path: 'assignedTo', select: 'name email' }
       ]
-    })
-      .sort({ 
-        priority: 1,
-        createdAt: -1 
-      })
-      .populate('userId', 'name email phone')
-      .populate('assignedTo', 'name email')
-      .lean();
-
-    // Custom sort by priority
-    const priorityOrder = { 'Critical': 0, 'High': 1, 'Medium': 2, 'Low': 3 };
-    complaints.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-
-    res.json(complaints);
+    });
+
+    setPaginationHeaders(res, result);
+    res.json(result.items);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -38,8 +74,9 @@ router.get('/complaints', auth(['provider']), async (req, res) => {
 // UPDATE complaint status (Provider) — tracks status history + load balancing
 router.put('/complaints/:id', auth(['provider']), async (req, res) => {
   try {
-    const { status, resolution } = req.body;
-    const complaint = await Complaint.findById(req.params.id);
+    const { status, resolution, beforePhoto } = req.body;
+    const afterPhotos = Array.isArray(req.body.afterPhotos) ? req.body.afterPhotos.filter(Boolean) : [];
+    const complaint = await findComplaintByRef(req.params.id);
 
     if (!complaint) {
       return res.status(404).json({ message: 'Complaint not found' });
@@ -49,13 +86,21 @@ router.put('/complaints/:id', auth(['provider']), async (req, res) => {
       return res.status(403).json({ message: 'Not authorized for this department' });
     }
 
+    // Only the assignee may update a complaint; an unassigned one is claimed by whoever picks it up
+    if (complaint.assignedTo && complaint.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({ message: `This complaint is assigned to ${complaint.assignedToName}` });
+    }
+
     // Validate status transitions
     const validTransitions = {
       'Registered': ['Accepted', 'Rejected'],
       'Accepted': ['Working On', 'Rejected'],
       'Working On': ['Completed'],
+      'Reopened': ['Accepted', 'Rejected'],
       'Completed': [],
-      'Rejected': []
+      'Rejected': [],
+      'Merged': [],
+      'Withdrawn': []
     };
 
     const allowed = validTransitions[complaint.status] || [];
@@ -79,10 +124,47 @@ router.put('/complaints/:id', auth(['provider']), async (req, res) => {
       }
     }
 
+    // Proof of work — at least one "after" photo is required to complete
+    if (status === 'Completed' && afterPhotos.length === 0) {
+      return res.status(400).json({ message: 'Please upload at least one "after" photo as proof of work before marking this complaint Completed.' });
+    }
+    if (afterPhotos.length > MAX_AFTER_PHOTOS) {
+      return res.status(400).json({ message: `You can upload at most ${MAX_AFTER_PHOTOS} "after" photos.` });
+    }
+
+    const proofInput = [
+      ...(beforePhoto ? [{ kind: 'before', data: beforePhoto }] : []),
+      ...afterPhotos.map(data => ({ kind: 'after', data }))
+    ];
+
+    let proofPhotos = [];
+    if (proofInput.length) {
+      try {
+        proofPhotos = await processProofPhotos(proofInput, complaint.department);
+      } catch (storageErr) {
+        console.error('[ProofOfWork] Failed to process photos:', storageErr.message);
+        if (storageErr.code === 'INVALID_IMAGE') {
+          return res.status(400).json({ message: 'One of the photos could not be processed. Please retake and try again.' });
+        }
+        return res.status(500).json({ message: 'Server error storing photos' });
+      }
+
+      const after = proofPhotos.filter(p => p.kind === 'after');
+      if (status === 'Completed' && !after.some(p => p.plausible)) {
+        for (const file of proofPhotos) await removeFile(file);
+        return res.status(400).json({
+          message: `The "after" photos do not appear to show a ${complaint.department} issue. Please upload a clear photo of the completed work.`,
+          photoChecks: after.map(p => ({ detectedDepartment: p.detectedDepartment, confidence: p.confidence }))
+        });
+      }
+    }
+
     // Update complaint
     complaint.status = status;
-    complaint.assignedTo = req.user.id;
-    complaint.assignedToName = req.user.name;
+    if (!complaint.assignedTo) {
+      assignComplaint(complaint, { _id: req.user.id, name: req.user.name }, { method: 'claim', by: req.user });
+    }
+    if (!ACTIVE_STATUSES.includes(status)) clearPendingRequests(complaint);
     if (resolution) complaint.resolution = resolution;
     complaint.updatedAt = new Date();
 
@@ -92,22 +174,328 @@ router.put('/complaints/:id', auth(['provider']), async (req, res) => {
       timestamp: new Date(),
       updatedBy: req.user.id,
       updatedByName: req.user.name,
-      note: resolution || `Status updated to ${status}`
+      note: resolution || `Status updated to ${status}`,
+      photos: proofPhotos
     });
 
     await complaint.save();
 
-    // Send email notification to user about status change
+    // Send email notification to the citizen and everyone following the complaint
+    await notifyStatusChange(complaint, status, resolution, proofPhotos);
+
+    res.json({ message: 'Complaint updated', complaint });
+  } catch (error) {
+    console.error('Provider update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET transfer requests waiting on this provider, and the ones they sent
+router.get('/transfers', auth(['provider']), async (req, res) => {
+  try {
+    const fields = 'ticketId department area priority status assignedToName transferRequest createdAt';
+    const [incoming, outgoing] = await Promise.all([
+      Complaint.find({ 'transferRequest.toId': req.user.id }).select(fields).sort({ 'transferRequest.requestedAt': 1 }).lean(),
+      Complaint.find({ 'transferRequest.fromId': req.user.id }).select(fields).sort({ 'transferRequest.requestedAt': 1 }).lean()
+    ]);
+    res.json({ incoming, outgoing });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// REQUEST a transfer to a colleague in the same department — body: { toProviderId, reason }
+router.post('/complaints/:id/transfer', auth(['provider']), async (req, res) => {
+  try {
+    const { toProviderId } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!mongoose.isValidObjectId(toProviderId)) {
+      return res.status(400).json({ message: 'A valid toProviderId is required' });
+    }
+    if (toProviderId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot transfer a complaint to yourself' });
+    }
+
+    const [complaint, colleague] = await Promise.all([
+      findComplaintByRef(req.params.id),
+      User.findOne({ _id: toProviderId, role: 'provider', department: req.user.department }).select('name email').lean()
+    ]);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (complaint.assignedTo?.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only transfer complaints assigned to you' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be transferred` });
+    }
+    if (!colleague) {
+      return res.status(404).json({ message: 'No provider with that id in your department' });
+    }
+    if (complaint.transferRequest?.toId) {
+      return res.status(400).json({ message: `A transfer to ${complaint.transferRequest.toName} is already pending` });
+    }
+
+    const now = new Date();
+    complaint.transferRequest = {
+      fromId: req.user.id,
+      fromName: req.user.name,
+      toId: colleague._id,
+      toName: colleague.name,
+      reason: reason || undefined,
+      requestedAt: now
+    };
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status: complaint.status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Transfer to another service provider requested${reason ? `: ${reason}` : ''}`
+    });
+    await complaint.save();
+
     try {
-      await sendStatusUpdate(complaint.userEmail, complaint.userName, complaint, status, resolution);
-      console.log(`[Email] Status update sent to ${complaint.userEmail} for ${complaint.ticketId}`);
+      await sendTransferRequest(colleague.email, colleague.name, complaint, req.user.name, reason);
     } catch (emailErr) {
-      console.error('[Email] Failed to send status update:', emailErr.message);
+      console.error('[Email] Failed to send transfer request:', emailErr.message);
     }
 
-    res.json({ message: 'Complaint updated', complaint });
+    res.json({ message: `Transfer requested — waiting for ${colleague.name} to accept`, transferRequest: complaint.transferRequest });
   } catch (error) {
-    console.error('Provider update error:', error);
+    console.error('Transfer request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ACCEPT or DECLINE a transfer sent to this provider — body: { reason } (decline only)
+router.post('/complaints/:id/transfer/:decision', auth(['provider']), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(404).json({ message: 'Unknown transfer action' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    const request = complaint.transferRequest;
+    if (request?.toId?.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'No pending transfer to you for this complaint' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be transferred` });
+    }
+
+    // The one-active-complaint rule applies to work that is already under way
+    if (decision === 'accept' && !AWAITING_ACCEPTANCE_STATUSES.includes(complaint.status)) {
+      const activeCount = await Complaint.countDocuments({
+        assignedTo: req.user.id,
+        status: { $in: ['Accepted', 'Working On'] }
+      });
+      if (activeCount > 0) {
+        return res.status(400).json({ message: 'You already have an active complaint. Please complete it before taking over this one.' });
+      }
+    }
+
+    const now = new Date();
+    const previousProviderId = complaint.assignedTo;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    // Staff names stay in assignmentHistory — statusHistory notes reach the public tracker
+    const note = decision === 'accept'
+      ? 'Transferred to another service provider'
+      : `Transfer declined${reason ? `: ${reason}` : ''}`;
+
+    if (decision === 'accept') {
+      assignComplaint(complaint, { _id: req.user.id, name: req.user.name }, { method: 'transfer', by: req.user, reason: request.reason });
+    } else {
+      complaint.transferRequest = undefined;
+    }
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status: complaint.status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note
+    });
+    await complaint.save();
+
+    if (decision === 'accept') {
+      await notifyReassignment(complaint, previousProviderId, { _id: req.user.id, name: req.user.name, email: req.user.email },
+        `Transferred to ${req.user.name}`);
+    }
+
+    res.json({
+      message: decision === 'accept' ? `Transferred from ${request.fromName} to you` : 'Transfer declined',
+      assignedTo: complaint.assignedToName
+    });
+  } catch (error) {
+    console.error('Transfer decision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// HAND BACK a complaint this provider cannot handle — body: { reason }
+// It goes to the least-loaded colleague and has to be accepted afresh
+router.post('/complaints/:id/handback', auth(['provider']), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'Please tell us why you cannot handle this complaint' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (complaint.assignedTo?.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only hand back complaints assigned to you' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be handed back` });
+    }
+
+    const provider = await assignProviderForDepartment(complaint.department, { exclude: [req.user.id] });
+    const now = new Date();
+    const status = AWAITING_ACCEPTANCE_STATUSES.includes(complaint.status) ? complaint.status : 'Registered';
+    const note = `Handed back: ${reason}${provider ? ' — reassigned to another service provider' : ' — awaiting reassignment'}`;
+
+    // With nobody else in the department it stays unassigned, for management to route
+    assignComplaint(complaint, provider, { method: 'handback', by: req.user, reason });
+    complaint.status = status;
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note
+    });
+    await complaint.save();
+
+    await notifyReassignment(complaint, null, provider);
+
+    res.json({ message: 'Complaint handed back', status, assignedTo: provider ? provider.name : null });
+  } catch (error) {
+    console.error('Handback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET department change requests into this provider's department, and out of it
+router.get('/department-changes', auth(['provider']), async (req, res) => {
+  try {
+    const fields = 'ticketId department area priority status description assignedToName departmentDetection departmentChangeRequest createdAt';
+    const [incoming, outgoing] = await Promise.all([
+      Complaint.find({ 'departmentChangeRequest.toDepartment': req.user.department }).select(fields).sort({ 'departmentChangeRequest.requestedAt': 1 }).lean(),
+      Complaint.find({ 'departmentChangeRequest.fromDepartment': req.user.department }).select(fields).sort({ 'departmentChangeRequest.requestedAt': 1 }).lean()
+    ]);
+    res.json({ incoming, outgoing });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PROPOSE moving a misrouted complaint to another department — body: { toDepartment, reason }
+// Management or a provider in the receiving department approves it
+router.post('/complaints/:id/department-change', auth(['provider']), async (req, res) => {
+  try {
+    const { toDepartment } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'Please explain why this belongs to another department' });
+    }
+    if (!isDepartment(toDepartment)) {
+      return res.status(400).json({ message: `Unknown department: ${toDepartment}` });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({ message: 'Complaint not found' });
+    }
+    if (complaint.department !== req.user.department) {
+      return res.status(403).json({ message: 'Not authorized for this department' });
+    }
+    if (complaint.assignedTo && complaint.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({ message: `This complaint is assigned to ${complaint.assignedToName}` });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be moved` });
+    }
+    if (toDepartment === complaint.department) {
+      return res.status(400).json({ message: `Complaint is already in ${toDepartment}` });
+    }
+    if (complaint.departmentChangeRequest?.toDepartment) {
+      return res.status(400).json({ message: `A move to ${complaint.departmentChangeRequest.toDepartment} is already pending` });
+    }
+
+    const now = new Date();
+    complaint.departmentChangeRequest = {
+      fromDepartment: complaint.department,
+      toDepartment,
+      reason,
+      requestedBy: req.user.id,
+      requestedByName: req.user.name,
+      requestedAt: now
+    };
+    complaint.updatedAt = now;
+    complaint.statusHistory.push({
+      status: complaint.status,
+      timestamp: now,
+      updatedBy: req.user.id,
+      updatedByName: req.user.name,
+      note: `Move to ${toDepartment} requested: ${reason}`
+    });
+    await complaint.save();
+
+    const approvers = await User.find({
+      $or: [{ role: 'management' }, { role: 'provider', department: toDepartment }]
+    }).select('name email').lean();
+    // The receiving department's contact addresses hear about it too
+    for (const email of getDepartment(toDepartment)?.contactEmails || []) {
+      if (!approvers.some(a => a.email === email)) approvers.push({ email, name: `${toDepartment} team` });
+    }
+    for (const approver of approvers) {
+      try {
+        await sendDepartmentChangeRequest(approver.email, approver.name, complaint, complaint.departmentChangeRequest);
+      } catch (emailErr) {
+        console.error(`[Email] Failed to send department change request to ${approver.email}:`, emailErr.message);
+      }
+    }
+
+    res.json({ message: `Move to ${toDepartment} requested — awaiting approval`, departmentChangeRequest: complaint.departmentChangeRequest });
+  } catch (error) {
+    console.error('Department change request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// APPROVE or DECLINE a department change into this provider's department — body: { reason } (decline only)
+router.post('/complaints/:id/department-change/:decision', auth(['provider']), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['approve', 'decline'].includes(decision)) {
+      return res.status(404).json({ message: 'Unknown department change action' });
+    }
+
+    const complaint = await findComplaintByRef(req.params.id);
+    if (!complaint?.departmentChangeRequest?.toDepartment) {
+      return res.status(404).json({ message: 'No pending department change for this complaint' });
+    }
+    if (complaint.departmentChangeRequest.toDepartment !== req.user.department) {
+      return res.status(403).json({ message: 'Only the receiving department can decide on this move' });
+    }
+    if (!ACTIVE_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({ message: `Complaint is ${complaint.status} and can no longer be moved` });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const note = await resolveDepartmentChange(complaint, decision === 'approve', req.user, reason);
+    res.json({ message: note, department: complaint.department, assignedTo: complaint.assignedToName || null });
+  } catch (error) {
+    console.error('Department change decision error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -127,10 +515,10 @@ router.get('/stats', auth(['provider']), async (req, res) => {
         { $match: { department, rating: { $exists: true, $ne: null } } },
         { $group: { _id: null, avgRating: { $avg: '$rating' }, totalRated: { $sum: 1 } } }
       ]),
-      Complaint.countDocuments({ assignedTo: req.user.id, status: { $in: ['Registered', 'Accepted', 'Working On'] } })
+      Complaint.countDocuments({ assignedTo: req.user.id, status: { $in: ACTIVE_STATUSES } })
     ]);
 
-    let total = 0, registered = 0, accepted = 0, workingOn = 0, completed = 0, critical = 0;
+    let total = 0, registered = 0, accepted = 0, workingOn = 0, completed = 0, reopened = 0, critical = 0;
     for (const s of statusAgg) {
       total += s.count;
       critical += s.criticalCount;
@@ -138,13 +526,48 @@ router.get('/stats', auth(['provider']), async (req, res) => {
       else if (s._id === 'Accepted') accepted = s.count;
       else if (s._id === 'Working On') workingOn = s.count;
       else if (s._id === 'Completed') completed = s.count;
+      else if (s._id === 'Reopened') reopened = s.count;
     }
 
     const avgRating = ratingAgg.length > 0 ? Math.round(ratingAgg[0].avgRating * 10) / 10 : 0;
     const totalRated = ratingAgg.length > 0 ? ratingAgg[0].totalRated : 0;
 
-    res.json({ total, registered, accepted, workingOn, completed, critical, avgRating, totalRated, myActive });
+    res.json({ total, registered, accepted, workingOn, completed, reopened, critical, avgRating, totalRated, myActive });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET my scorecard — acceptance and completion times, SLA adherence, reopen and rejection
+// rates, ratings and my rank in the department. from, to (default: the last 90 days)
+router.get('/scorecard', auth(['provider']), async (req, res) => {
+  try {
+    const { from, to, minCompletedForRank, scorecards } = await buildScorecards({
+      department: req.user.department,
+      from: req.query.from,
+      to: req.query.to
+    });
+    const mine = scorecards.find(card => String(card.providerId) === req.user.id);
+    if (!mine) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    // Colleagues are only shown as a department average
+    const ranked = scorecards.filter(card => card.rank !== null);
+    const mean = values => {
+      const known = values.filter(v => v !== null);
+      return known.length ? Math.round((known.reduce((sum, v) => sum + v, 0) / known.length) * 10) / 10 : null;
+    };
+    const departmentAverage = {
+      score: mean(ranked.map(c => c.score)),
+      avgAcceptHours: mean(ranked.map(c => c.avgAcceptHours)),
+      avgCompleteHours: mean(ranked.map(c => c.avgCompleteHours)),
+      rating: mean(ranked.map(c => c.ratings.average))
+    };
+
+    res.json({ from, to, minCompletedForRank, ...mine, departmentAverage });
   } catch (error) {
+    console.error('Scorecard error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,82 @@
+const express = require('express');
+const crypto = require('crypto');
+const Complaint = require('../models/Complaint');
+const rateLimit = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// The tracking code from the registration email is required: ticket IDs are sequential, so
+// anyone could walk the register without it. PUBLIC_TRACK_REQUIRE_CODE=false turns that off.
+const REQUIRE_CODE = process.env.PUBLIC_TRACK_REQUIRE_CODE !== 'false';
+
+const trackLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.PUBLIC_TRACK_RATE_LIMIT, 10) || 30,
+  message: 'Too many tracking requests. Please wait a minute and try again.'
+});
+
+// Constant-time comparison so codes can't be guessed character by character
+function codesMatch(expected, given) {
+  if (!expected || !given) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(given).trim().toUpperCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * GET /api/public/track/:ticketId?code=XXXXXX
+ * No auth — privacy-safe view of a complaint for people without an account.
+ * Staff identities, the citizen's contact details and the photo are never
+ * returned unless the citizen opted in via publicSharing.
+ */
+router.get('/track/:ticketId', trackLimiter, async (req, res) => {
+  try {
+    const ticketId = req.params.ticketId.trim().toUpperCase();
+    const complaint = await Complaint.findOne({ ticketId })
+      .select('+trackingCode')
+      .populate('userId', 'phone')
+      .lean();
+
+    // Same response for "not found" and "wrong code" so ticket IDs can't be probed
+    const notFound = () => res.status(404).json({ message: 'No complaint found for this ticket ID and code' });
+    if (!complaint) return notFound();
+
+    const { code } = req.query;
+    if ((REQUIRE_CODE || code) && !codesMatch(complaint.trackingCode, code)) return notFound();
+
+    const view = {
+      ticketId: complaint.ticketId,
+      status: complaint.status,
+      department: complaint.department,
+      area: complaint.area,
+      priority: complaint.priority,
+      createdAt: complaint.createdAt,
+      updatedAt: complaint.updatedAt,
+      timeline: (complaint.statusHistory || []).map(h => ({
+        status: h.status,
+        timestamp: h.timestamp,
+        note: h.note,
+        by: h.updatedByName === 'System' || !h.updatedBy ? 'System' : 'Department Staff'
+      }))
+    };
+
+    if (complaint.publicSharing?.photo) {
+      view.photo = complaint.photo;
+      view.photoThumbnail = complaint.photoThumbnail;
+    }
+    if (complaint.publicSharing?.contact) {
+      view.contact = {
+        name: complaint.userName,
+        email: complaint.userEmail,
+        phone: complaint.userId?.phone || ''
+      };
+    }
+
+    res.json(view);
+  } catch (error) {
+    console.error('[Public Track] Error:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -9,24 +9,56 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const complaintRoutes = require('./routes/complaints');
+const commentRoutes = require('./routes/comments');
 const managementRoutes = require('./routes/management');
 const providerRoutes = require('./routes/provider');
 const chatbotRoutes = require('./routes/chatbot');
+const publicRoutes = require('./routes/public');
+const analyticsRoutes = require('./routes/analytics');
+const openDataRoutes = require('./routes/openData');
+const departmentRoutes = require('./routes/departments');
+const adminAreaRoutes = require('./routes/adminAreas');
+const { startSlaScheduler } = require('./utils/slaScheduler');
+const { loadDepartments, startDepartmentRefresh } = require('./utils/departments');
+const { seedDistricts } = require('./utils/adminAreas');
+const localize = require('./middleware/localize');
 
 const app = express();
 
+// Behind Render's proxy — trust the first hop so req.ip is the client (used by rate limiting)
+app.set('trust proxy', 1);
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Total-Pages', 'Content-Language'] }));
+// Only the routes that take base64 photos in JSON get a large body limit — a route that
+// starts accepting them (saveImage on a request body) has to be added here
+const photoJson = express.json({ limit: process.env.PHOTO_BODY_LIMIT || '25mb' });
+app.post([
+  '/api/complaints',
+  '/api/complaints/analyze-image',
+  '/api/complaints/sync',
+  '/api/complaints/:id/reopen',
+  '/api/complaints/:id/comments'
+], photoJson);
+app.patch('/api/complaints/:id', photoJson);
+app.put('/api/provider/complaints/:id', photoJson);
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+app.use(localize);
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/complaints', complaintRoutes);
+app.use('/api/complaints/:id/comments', commentRoutes);
 app.use('/api/management', managementRoutes);
 app.use('/api/provider', providerRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/open-data', openDataRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/admin-areas', adminAreaRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -69,12 +101,18 @@ app.get('/api/ai-status', async (req, res) => {
 
 // Connect to MongoDB and start server
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB Atlas');
+    // Departments are needed for validation and routing before the first request
+    const count = await loadDepartments();
+    console.log(`[Departments] Loaded ${count} departments`);
+    startDepartmentRefresh();
+    await seedDistricts();
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`TNSMP Backend running on port ${PORT}`);
     });
+    startSlaScheduler();
   })
   .catch(err => {
     console.error('MongoDB connection error:', err);
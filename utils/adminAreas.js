@@ -0,0 +1,97 @@
+const AdminArea = require('../models/AdminArea');
+const { TN_DISTRICTS } = require('./geo');
+
+// ============================================================
+// ADMINISTRATIVE AREAS — district → taluk / zone → ward for complaints
+// ============================================================
+// A GPS fix is matched against the area boundaries, the deepest level containing it
+// winning. Without a fix or a matching boundary, areas are recognised by name (or alias)
+// in the area / address text: first the district, then its taluks and wards.
+const LEVELS = AdminArea.schema.path('level').enumValues;
+const EMPTY = Object.freeze({ district: null, taluk: null, ward: null });
+
+/**
+ * Create the 38 districts (without boundaries) when the collection has none yet.
+ */
+async function seedDistricts() {
+  if (await AdminArea.exists({ level: 'district' })) return 0;
+  try {
+    const districts = Object.entries(TN_DISTRICTS).map(([name, code]) => ({ name, code, level: 'district' }));
+    await AdminArea.insertMany(districts, { ordered: false });
+    console.log(`[AdminAreas] Seeded ${districts.length} districts`);
+    return districts.length;
+  } catch (err) {
+    // Another instance seeding at the same time
+    if (err.code !== 11000) throw err;
+    return 0;
+  }
+}
+
+function depth(area) {
+  return LEVELS.indexOf(area.level);
+}
+
+// Deepest active area whose boundary contains the point
+async function areaAtPoint(point) {
+  const matches = await AdminArea.find({ active: true, boundary: { $geoIntersects: { $geometry: point } } })
+    .select('name level parent district')
+    .lean();
+  return matches.sort((a, b) => depth(b) - depth(a))[0] || null;
+}
+
+// First of `areas` named in the text, preferring deeper levels and then longer names
+// so that "Tiruvannamalai" is not read as a mention of a shorter name inside it
+function areaNamedIn(text, areas) {
+  const lower = (text || '').toLowerCase();
+  if (!lower.trim()) return null;
+  const candidates = areas
+    .flatMap(area => [area.name, ...(area.aliases || [])].map(name => ({ area, name: name.toLowerCase() })))
+    .filter(c => c.name)
+    .sort((a, b) => depth(b.area) - depth(a.area) || b.name.length - a.name.length);
+  return candidates.find(c => lower.includes(c.name))?.area || null;
+}
+
+async function areaFromText(text) {
+  const districts = await AdminArea.find({ level: 'district', active: true }).select('name level aliases').lean();
+  const district = areaNamedIn(text, districts);
+  if (!district) return null;
+
+  const within = await AdminArea.find({ district: district._id, active: true }).select('name level parent district aliases').lean();
+  return areaNamedIn(text, within) || district;
+}
+
+/**
+ * Resolve the district, taluk and ward for a complaint from its GeoJSON point and/or
+ * free text (area and address). Returns { district, taluk, ward }, each { _id, name } or null.
+ */
+async function resolveAdminAreas({ point, text } = {}) {
+  const deepest = (point && await areaAtPoint(point)) || await areaFromText(text);
+  if (!deepest) return { ...EMPTY };
+
+  const ancestorIds = [deepest.parent, deepest.district].filter(Boolean);
+  const ancestors = ancestorIds.length
+    ? await AdminArea.find({ _id: { $in: ancestorIds } }).select('name level').lean()
+    : [];
+
+  const areas = { ...EMPTY };
+  for (const area of [deepest, ...ancestors]) areas[area.level] = { _id: area._id, name: area.name };
+  return areas;
+}
+
+/**
+ * Complaint fields for resolved areas: the IDs by level and, when a district was found,
+ * its name (which analytics and open data read).
+ */
+function complaintAreaFields(areas) {
+  const fields = {
+    adminArea: {
+      district: areas.district?._id,
+      taluk: areas.taluk?._id,
+      ward: areas.ward?._id
+    }
+  };
+  if (areas.district) fields.district = areas.district.name;
+  return fields;
+}
+
+module.exports = { seedDistricts, resolveAdminAreas, complaintAreaFields };
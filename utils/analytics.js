@@ -0,0 +1,438 @@
+const Complaint = require('../models/Complaint');
+const AdminArea = require('../models/AdminArea');
+const { buildComplaintFilter } = require('./complaintQuery');
+const { ACTIVE_STATUSES } = require('./workflow');
+const { geohashBounds, geohashNeighbours, distanceMeters } = require('./geo');
+
+// ============================================================
+// GEO ANALYTICS — heatmap buckets and recurring hotspots
+// ============================================================
+const GROUP_BY = ['district', 'taluk', 'ward', 'geohash', 'grid'];
+const DEFAULT_GEOHASH_PRECISION = 6; // ~1.2 km × 0.6 km cells
+const DEFAULT_GRID_SIZE = 0.01; // degrees, ~1.1 km
+const MAX_FEATURES = 5000;
+
+// Recurring hotspots: at least HOTSPOT_MIN_COMPLAINTS complaints within roughly HOTSPOT_RADIUS_METERS
+// over the last HOTSPOT_DAYS days, spread across at least HOTSPOT_MIN_WEEKS different weeks
+// (a one-day burst about the same pothole is a duplicate, not a hotspot)
+const HOTSPOT_DAYS = parseInt(process.env.HOTSPOT_DAYS, 10) || 90;
+const HOTSPOT_MIN_COMPLAINTS = parseInt(process.env.HOTSPOT_MIN_COMPLAINTS, 10) || 5;
+const HOTSPOT_MIN_WEEKS = parseInt(process.env.HOTSPOT_MIN_WEEKS, 10) || 2;
+const HOTSPOT_RADIUS_METERS = parseInt(process.env.HOTSPOT_RADIUS_METERS, 10) || 250;
+const HOTSPOT_MAX_COMPLAINTS = 20000; // Scanned per run; older ones are dropped first
+
+// Geohash length whose cells are about the hotspot radius across
+function hotspotPrecision(radius) {
+  if (radius <= 80) return 8;
+  if (radius <= 600) return 7;
+  if (radius <= 2500) return 6;
+  return 5;
+}
+
+// Counts carried by every bucket
+const BUCKET_COUNTS = {
+  count: { $sum: 1 },
+  open: { $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] } },
+  critical: { $sum: { $cond: [{ $eq: ['$priority', 'Critical'] }, 1, 0] } },
+  located: { $sum: { $cond: [{ $ifNull: ['$location.coordinates', false] }, 1, 0] } },
+  lng: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+  lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } },
+  firstAt: { $min: '$createdAt' },
+  lastAt: { $max: '$createdAt' }
+};
+
+function toFeature(bucket, properties, bbox) {
+  const feature = {
+    type: 'Feature',
+    // Mean position of the complaints in the bucket — what a heatmap layer plots
+    geometry: bucket.located ? { type: 'Point', coordinates: [bucket.lng, bucket.lat] } : null,
+    properties: {
+      ...properties,
+      count: bucket.count,
+      open: bucket.open,
+      critical: bucket.critical,
+      firstAt: bucket.firstAt,
+      lastAt: bucket.lastAt
+    }
+  };
+  if (bbox) feature.bbox = bbox;
+  return feature;
+}
+
+/**
+ * Bucket complaints for a heatmap. Query parameters:
+ *   groupBy=district|taluk|ward|geohash|grid (default geohash), precision (geohash length 3–9),
+ *   cellSize (grid size in degrees, 0.001–1), plus the listing filters
+ *   (department, status, priority, district, districtId, talukId, wardId, from, to, q — see buildComplaintFilter).
+ * Returns a GeoJSON FeatureCollection; each feature's properties carry the counts.
+ */
+async function buildHeatmap(query = {}) {
+  const groupBy = GROUP_BY.includes(query.groupBy) ? query.groupBy : 'geohash';
+  const filter = buildComplaintFilter(query);
+  const pipeline = [{ $match: filter }];
+  let settings;
+
+  if (groupBy === 'district') {
+    pipeline.push({ $group: { _id: { $ifNull: ['$district', null] }, ...BUCKET_COUNTS } });
+    settings = { groupBy };
+  } else if (groupBy === 'taluk' || groupBy === 'ward') {
+    const path = `adminArea.${groupBy}`;
+    pipeline.push(
+      { $match: { [path]: { $type: 'objectId' } } },
+      { $group: { _id: `$${path}`, ...BUCKET_COUNTS } }
+    );
+    settings = { groupBy };
+  } else if (groupBy === 'geohash') {
+    const precision = Math.min(Math.max(parseInt(query.precision, 10) || DEFAULT_GEOHASH_PRECISION, 3), 9);
+    pipeline.push(
+      { $match: { geohash: { $type: 'string' } } },
+      { $group: { _id: { $substrCP: ['$geohash', 0, precision] }, ...BUCKET_COUNTS } }
+    );
+    settings = { groupBy, precision };
+  } else {
+    const cellSize = Math.min(Math.max(parseFloat(query.cellSize) || DEFAULT_GRID_SIZE, 0.001), 1);
+    pipeline.push(
+      { $match: { 'location.coordinates': { $exists: true } } },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 0] }, cellSize] } },
+            y: { $floor: { $divide: [{ $arrayElemAt: ['$location.coordinates', 1] }, cellSize] } }
+          },
+          ...BUCKET_COUNTS
+        }
+      }
+    );
+    settings = { groupBy, cellSize };
+  }
+  pipeline.push({ $sort: { count: -1 } }, { $limit: MAX_FEATURES });
+
+  const buckets = await Complaint.aggregate(pipeline);
+  // Taluk and ward buckets are labelled with the area's name
+  const areaNames = new Map();
+  if (groupBy === 'taluk' || groupBy === 'ward') {
+    const areas = await AdminArea.find({ _id: { $in: buckets.map(b => b._id) } }).select('name').lean();
+    for (const area of areas) areaNames.set(String(area._id), area.name);
+  }
+
+  const features = buckets.map(bucket => {
+    if (groupBy === 'district') return toFeature(bucket, { district: bucket._id || 'Unknown' });
+    if (groupBy === 'taluk' || groupBy === 'ward') {
+      return toFeature(bucket, { [groupBy]: areaNames.get(String(bucket._id)) || 'Unknown', areaId: bucket._id });
+    }
+    if (groupBy === 'geohash') return toFeature(bucket, { geohash: bucket._id }, geohashBounds(bucket._id));
+    const { x, y } = bucket._id;
+    const bbox = [x * settings.cellSize, y * settings.cellSize, (x + 1) * settings.cellSize, (y + 1) * settings.cellSize]
+      .map(v => Math.round(v * 1e6) / 1e6);
+    return toFeature(bucket, { cell: `${x}:${y}` }, bbox);
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      ...settings,
+      total: buckets.reduce((sum, b) => sum + b.count, 0),
+      maxCount: buckets.length ? buckets[0].count : 0,
+      truncated: buckets.length === MAX_FEATURES
+    }
+  };
+}
+
+// ISO-ish week number since the epoch, to count the distinct weeks a hotspot was active in
+function weekOf(date) {
+  return Math.floor(new Date(date).getTime() / (7 * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Find places that keep generating complaints. Complaints are bucketed into geohash cells
+ * about the radius across; starting from the busiest cell, each cluster takes its unclaimed
+ * neighbouring cells and keeps the complaints within `radius` of the cluster centre.
+ * Options: days, minComplaints, minWeeks, radius, department, districtId, talukId, wardId, limit.
+ */
+async function findRecurringHotspots({
+  days = HOTSPOT_DAYS,
+  minComplaints = HOTSPOT_MIN_COMPLAINTS,
+  minWeeks = HOTSPOT_MIN_WEEKS,
+  radius = HOTSPOT_RADIUS_METERS,
+  department,
+  districtId,
+  talukId,
+  wardId,
+  limit = 10
+} = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const filter = {
+    ...buildComplaintFilter({ districtId, talukId, wardId }),
+    createdAt: { $gte: since },
+    geohash: { $type: 'string' },
+    status: { $nin: ['Merged', 'Withdrawn'] }
+  };
+  if (department) filter.department = department;
+
+  const complaints = await Complaint.find(filter)
+    .select('ticketId department status priority area location geohash createdAt')
+    .sort({ createdAt: -1 })
+    .limit(HOTSPOT_MAX_COMPLAINTS)
+    .lean();
+
+  const precision = hotspotPrecision(radius);
+  const cells = new Map();
+  for (const c of complaints) {
+    const cell = c.geohash.slice(0, precision);
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(c);
+  }
+
+  const claimed = new Set();
+  const hotspots = [];
+  const busiest = [...cells.entries()].sort((a, b) => b[1].length - a[1].length);
+
+  for (const [cell, members] of busiest) {
+    if (claimed.has(cell)) continue;
+    const clusterCells = [cell, ...geohashNeighbours(cell).filter(n => cells.has(n) && !claimed.has(n))];
+    const candidates = clusterCells.flatMap(c => cells.get(c));
+    if (candidates.length < minComplaints) continue;
+
+    // Centre on the busiest cell's complaints, then keep everything within the radius
+    const centre = [
+      members.reduce((sum, c) => sum + c.location.coordinates[0], 0) / members.length,
+      members.reduce((sum, c) => sum + c.location.coordinates[1], 0) / members.length
+    ];
+    const inRadius = candidates.filter(c => distanceMeters(centre, c.location.coordinates) <= radius);
+    const weeks = new Set(inRadius.map(c => weekOf(c.createdAt))).size;
+    if (inRadius.length < minComplaints || weeks < minWeeks) continue;
+
+    clusterCells.forEach(c => claimed.add(c));
+
+    const byDepartment = {};
+    for (const c of inRadius) byDepartment[c.department] = (byDepartment[c.department] || 0) + 1;
+    const times = inRadius.map(c => new Date(c.createdAt).getTime());
+
+    hotspots.push({
+      location: { type: 'Point', coordinates: centre.map(v => Math.round(v * 1e6) / 1e6) },
+      radiusMeters: Math.round(Math.max(...inRadius.map(c => distanceMeters(centre, c.location.coordinates)))),
+      area: members[0].area,
+      count: inRadius.length,
+      open: inRadius.filter(c => ACTIVE_STATUSES.includes(c.status)).length,
+      weeksActive: weeks,
+      byDepartment,
+      topDepartment: Object.entries(byDepartment).sort((a, b) => b[1] - a[1])[0][0],
+      firstAt: new Date(Math.min(...times)),
+      lastAt: new Date(Math.max(...times)),
+      ticketIds: inRadius.slice(0, 20).map(c => c.ticketId)
+    });
+  }
+
+  return hotspots.sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+// ============================================================
+// TRENDS — complaint inflow and resolution over time
+// ============================================================
+const INTERVALS = { day: 1, week: 7, month: 30 };
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+const MAX_BUCKETS = 400;
+const TIMEZONE = 'Asia/Kolkata';
+const IST_OFFSET_MS = 330 * 60 * 1000; // No daylight saving in India, so a fixed offset is exact
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A department counts as surging when its week's inflow is up this much on the week before
+const SURGE_MIN_CHANGE_PCT = parseInt(process.env.SURGE_MIN_CHANGE_PCT, 10) || 50;
+const SURGE_MIN_COMPLAINTS = parseInt(process.env.SURGE_MIN_COMPLAINTS, 10) || 5;
+
+// Start of the IST day / Monday-week / month containing `date` — matches $dateTrunc below
+function bucketStart(date, interval) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  ist.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') ist.setUTCDate(ist.getUTCDate() - ((ist.getUTCDay() + 6) % 7));
+  if (interval === 'month') ist.setUTCDate(1);
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+}
+
+function nextBucket(start, interval) {
+  const ist = new Date(start.getTime() + IST_OFFSET_MS);
+  if (interval === 'month') ist.setUTCMonth(ist.getUTCMonth() + 1);
+  else ist.setUTCDate(ist.getUTCDate() + INTERVALS[interval]);
+  return new Date(ist.getTime() - IST_OFFSET_MS);
+}
+
+// Nearest-rank percentile of an unsorted list of numbers
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.ceil((p / 100) * sorted.length) - 1, sorted.length - 1)];
+}
+
+// Durations in hours, to one decimal
+function durationStats(values) {
+  const hours = v => (v === null ? null : Math.round((v / HOUR_MS) * 10) / 10);
+  return { count: values.length, medianHours: hours(percentile(values, 50)), p90Hours: hours(percentile(values, 90)) };
+}
+
+function changePct(current, previous) {
+  if (current === null || previous === null) return null;
+  if (!previous) return current ? null : 0; // Growth from zero has no meaningful percentage
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// First time the complaint entered a status, from its status history
+function firstEntered(status) {
+  return {
+    $min: {
+      $map: {
+        input: { $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $eq: ['$$this.status', status] } } },
+        in: '$$this.timestamp'
+      }
+    }
+  };
+}
+
+/**
+ * Event counts and timings per bucket between `from` and `to`. Each complaint contributes
+ * to "created" at createdAt and to accepted/completed/rejected at the first time it reached
+ * that status; time-to-accept and time-to-complete are measured from createdAt.
+ */
+async function aggregateEvents(filter, from, to, interval) {
+  const inRange = field => ({ [field]: { $gte: from, $lt: to } });
+  const bucket = field => ({ $dateTrunc: { date: `$${field}`, unit: interval, timezone: TIMEZONE, startOfWeek: 'monday' } });
+  const series = (field, durationFrom) => [
+    { $match: inRange(field) },
+    {
+      $group: {
+        _id: bucket(field),
+        count: { $sum: 1 },
+        ...(durationFrom ? { durations: { $push: { $subtract: [`$${field}`, `$${durationFrom}`] } } } : {})
+      }
+    }
+  ];
+
+  const [result] = await Complaint.aggregate([
+    { $match: { ...filter, $or: [inRange('createdAt'), { statusHistory: { $elemMatch: { timestamp: { $gte: from, $lt: to } } } }] } },
+    {
+      $project: {
+        createdAt: 1,
+        acceptedAt: firstEntered('Accepted'),
+        completedAt: firstEntered('Completed'),
+        rejectedAt: firstEntered('Rejected')
+      }
+    },
+    {
+      $facet: {
+        created: series('createdAt'),
+        accepted: series('acceptedAt', 'createdAt'),
+        completed: series('completedAt', 'createdAt'),
+        rejected: series('rejectedAt')
+      }
+    }
+  ]);
+  return result;
+}
+
+/**
+ * Complaint trends. Query parameters:
+ *   interval=day|week|month (default week), from, to (default: the last 30 days / 12 weeks / 12 months),
+ *   department, district, priority, districtId, talukId, wardId (comma-separated for several).
+ * Returns { interval, from, to, series: [...], totals, weekOverWeek, surges }.
+ */
+async function buildTrends(query = {}) {
+  const interval = INTERVALS[query.interval] ? query.interval : 'week';
+  const { department, district, priority, districtId, talukId, wardId } = query;
+  const filter = buildComplaintFilter({ department, district, priority, districtId, talukId, wardId });
+  const range = buildComplaintFilter({ from: query.from, to: query.to }).createdAt || {};
+
+  const now = new Date();
+  const to = range.$lte ? new Date(range.$lte.getTime() + 1) : now;
+  let from = bucketStart(range.$gte || new Date(to.getTime() - DEFAULT_BUCKETS[interval] * INTERVALS[interval] * DAY_MS), interval);
+  if ((to - from) / (INTERVALS[interval] * DAY_MS) > MAX_BUCKETS) {
+    from = bucketStart(new Date(to.getTime() - MAX_BUCKETS * INTERVALS[interval] * DAY_MS), interval);
+  }
+
+  // Week-over-week always compares the last 7 days with the 7 before, whatever the interval
+  const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+  const twoWeeksAgo = new Date(now.getTime() - 14 * DAY_MS);
+
+  const [events, thisWeek, lastWeek, departmentInflow] = await Promise.all([
+    aggregateEvents(filter, from, to, interval),
+    aggregateEvents(filter, weekAgo, now, 'month'),
+    aggregateEvents(filter, twoWeeksAgo, weekAgo, 'month'),
+    Complaint.aggregate([
+      { $match: { ...filter, createdAt: { $gte: twoWeeksAgo, $lt: now } } },
+      {
+        $group: {
+          _id: '$department',
+          current: { $sum: { $cond: [{ $gte: ['$createdAt', weekAgo] }, 1, 0] } },
+          previous: { $sum: { $cond: [{ $lt: ['$createdAt', weekAgo] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  // Fill every bucket in the range, including empty ones, so charts get an even x-axis
+  const buckets = new Map();
+  for (let start = from; start < to; start = nextBucket(start, interval)) {
+    buckets.set(start.getTime(), { start, created: 0, accepted: 0, completed: 0, rejected: 0, acceptDurations: [], completeDurations: [] });
+  }
+  for (const [kind, rows] of Object.entries(events)) {
+    for (const row of rows) {
+      const entry = buckets.get(new Date(row._id).getTime());
+      if (!entry) continue;
+      entry[kind] = row.count;
+      if (kind === 'accepted') entry.acceptDurations = row.durations;
+      if (kind === 'completed') entry.completeDurations = row.durations;
+    }
+  }
+
+  const series = [...buckets.values()].map(({ acceptDurations, completeDurations, ...counts }) => ({
+    ...counts,
+    timeToAccept: durationStats(acceptDurations),
+    timeToComplete: durationStats(completeDurations)
+  }));
+
+  const all = [...buckets.values()];
+  const totals = {
+    created: all.reduce((sum, b) => sum + b.created, 0),
+    accepted: all.reduce((sum, b) => sum + b.accepted, 0),
+    completed: all.reduce((sum, b) => sum + b.completed, 0),
+    rejected: all.reduce((sum, b) => sum + b.rejected, 0),
+    timeToAccept: durationStats(all.flatMap(b => b.acceptDurations)),
+    timeToComplete: durationStats(all.flatMap(b => b.completeDurations))
+  };
+
+  // A 7-day window spans at most two month buckets; add them up
+  const summarize = result => {
+    const sum = kind => result[kind].reduce((total, row) => total + row.count, 0);
+    const durations = kind => result[kind].flatMap(row => row.durations || []);
+    return {
+      created: sum('created'),
+      accepted: sum('accepted'),
+      completed: sum('completed'),
+      rejected: sum('rejected'),
+      medianAcceptHours: durationStats(durations('accepted')).medianHours,
+      medianCompleteHours: durationStats(durations('completed')).medianHours
+    };
+  };
+  const current = summarize(thisWeek);
+  const previous = summarize(lastWeek);
+  const weekOverWeek = {};
+  for (const key of Object.keys(current)) {
+    weekOverWeek[key] = { current: current[key], previous: previous[key], changePct: changePct(current[key], previous[key]) };
+  }
+
+  const surges = departmentInflow
+    .map(d => ({ department: d._id, current: d.current, previous: d.previous, changePct: changePct(d.current, d.previous) }))
+    .filter(d => d.current >= SURGE_MIN_COMPLAINTS && (d.changePct === null || d.changePct >= SURGE_MIN_CHANGE_PCT))
+    .sort((a, b) => (b.current - b.previous) - (a.current - a.previous));
+
+  return { interval, timezone: TIMEZONE, from, to, filters: { department, district, priority }, series, totals, weekOverWeek, surges };
+}
+
+module.exports = {
+  HOTSPOT_DAYS,
+  HOTSPOT_MIN_COMPLAINTS,
+  HOTSPOT_RADIUS_METERS,
+  buildHeatmap,
+  findRecurringHotspots,
+  buildTrends
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+
+// ============================================================
+// COMPLAINT LISTING — shared filters, sorting and pagination
+// ============================================================
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Higher rank = more urgent, so "priority desc" lists Critical first
+const PRIORITY_RANK = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+
+// Administrative area filters (utils/adminAreas.js), by ID at each level
+const AREA_FILTERS = {
+  districtId: 'adminArea.district',
+  talukId: 'adminArea.taluk',
+  wardId: 'adminArea.ward'
+};
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const SORT_FIELDS = {
+  priority: 'priorityRank',
+  created: 'createdAt',
+  updated: 'updatedAt'
+};
+
+// Comma-separated query values → $in, single values → equality
+function inOrEquals(value) {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return values.length > 1 ? { $in: values } : values[0];
+}
+
+// Same for ObjectIds, cast here because aggregation pipelines don't; an invalid ID matches nothing
+function idInOrEquals(value) {
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const ids = values.filter(v => OBJECT_ID_PATTERN.test(v)).map(v => new mongoose.Types.ObjectId(v));
+  if (ids.length !== values.length) return { $in: [] };
+  return ids.length > 1 ? { $in: ids } : ids[0];
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  // A bare YYYY-MM-DD "to" date should include that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * Build a Mongo filter from listing query parameters:
+ *   department, status, priority, district (comma-separated for several), from, to (createdAt range),
+ *   districtId, talukId, wardId (administrative area IDs, comma-separated for several),
+ *   q (full-text search over description, address, ticketId and userName)
+ */
+function buildComplaintFilter(query = {}) {
+  const filter = {};
+  if (query.department) filter.department = inOrEquals(query.department);
+  if (query.status) filter.status = inOrEquals(query.status);
+  if (query.priority) filter.priority = inOrEquals(query.priority);
+  if (query.district) filter.district = inOrEquals(query.district);
+  for (const [param, path] of Object.entries(AREA_FILTERS)) {
+    if (query[param]) filter[path] = idInOrEquals(query[param]);
+  }
+
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const q = (query.q || '').trim();
+  if (q) {
+    // A full ticket ID is matched exactly; anything else goes through the text index
+    if (/^TNSMP-[\w-]+$/i.test(q)) filter.ticketId = q.toUpperCase();
+    else filter.$text = { $search: q };
+  }
+
+  return filter;
+}
+
+function parsePagination(query = {}) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// sort=priority|created|updated, order=asc|desc; text searches default to relevance
+function parseSort(query = {}, filter = {}, defaultSort = 'created') {
+  const field = SORT_FIELDS[query.sort] ? query.sort : (filter.$text && !query.sort ? 'relevance' : defaultSort);
+  const direction = query.order === 'asc' ? 1 : -1;
+
+  if (field === 'relevance') return { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 };
+  const sort = { [SORT_FIELDS[field]]: direction };
+  if (field !== 'created') sort.createdAt = -1;
+  sort._id = -1; // stable order across pages
+  return sort;
+}
+
+/**
+ * Run a paginated complaint listing.
+ * Returns { items, total, page, limit, pages }
+ */
+async function findComplaintsPage(query, { baseFilter = {}, defaultSort = 'created', project = { trackingCode: 0 }, populate = [] } = {}) {
+  const filter = { ...buildComplaintFilter(query), ...baseFilter };
+  const { page, limit, skip } = parsePagination(query);
+  const sort = parseSort(query, filter, defaultSort);
+
+  const pipeline = [{ $match: filter }];
+  if (sort.priorityRank) {
+    pipeline.push({
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: Object.entries(PRIORITY_RANK).map(([p, rank]) => ({ case: { $eq: ['$priority', p] }, then: rank })),
+            default: 0
+          }
+        }
+      }
+    });
+  }
+  pipeline.push(
+    { $sort: sort },
+    {
+      $facet: {
+        items: [{ $skip: skip }, { $limit: limit }, { $project: { ...project, priorityRank: 0 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  );
+
+  const [result] = await Complaint.aggregate(pipeline);
+  let items = result.items;
+  if (populate.length) items = await Complaint.populate(items, populate);
+
+  const total = result.total[0]?.count || 0;
+  return { items, total, page, limit, pages: Math.ceil(total / limit) };
+}
+
+// Pagination metadata travels in headers so list responses stay plain arrays
+function setPaginationHeaders(res, { total, page, limit, pages }) {
+  res.set('X-Total-Count', String(total));
+  res.set('X-Page', String(page));
+  res.set('X-Limit', String(limit));
+  res.set('X-Total-Pages', String(pages));
+}
+
+module.exports = {
+  PRIORITY_RANK,
+  AREA_FILTERS,
+  buildComplaintFilter,
+  parsePagination,
+  findComplaintsPage,
+  setPaginationHeaders
+};
@@ -0,0 +1,251 @@
+const Department = require('../models/Department');
+
+// ============================================================
+// DEPARTMENT REGISTRY — cached copy of the Department collection
+// ============================================================
+// Every code path reads departments synchronously from this cache. It starts out as
+// DEFAULT_DEPARTMENTS, is replaced by the collection once loadDepartments() runs at
+// startup (seeding an empty collection with the defaults), and is reloaded after every
+// change made through the API and every DEPARTMENT_CACHE_SECONDS for other instances.
+const REFRESH_INTERVAL_MS = (parseInt(process.env.DEPARTMENT_CACHE_SECONDS, 10) || 60) * 1000;
+
+// Where complaints go when nothing more specific fits; it cannot be removed or deactivated
+const FALLBACK_DEPARTMENT = 'General';
+
+// Seeded into an empty collection on first start — the values that used to be hard-coded
+const DEFAULT_DEPARTMENTS = [
+  {
+    name: 'Water Resources',
+    displayName: { en: 'Water Resources', ta: 'நீர்வளம்' },
+    visionKeywords: [
+      'water', 'pipe', 'pipeline', 'flood', 'flooding', 'drain', 'drainage',
+      'sewage', 'sewer', 'leak', 'leaking', 'plumbing', 'tap', 'faucet',
+      'water supply', 'borewell', 'well', 'tank', 'overhead tank', 'pump',
+      'waterlogging', 'stagnant water', 'canal', 'river', 'pond', 'reservoir',
+      'water contamination', 'dirty water', 'water body', 'puddle', 'swimming pool',
+      'moisture', 'wet', 'liquid', 'fluid', 'sprinkler', 'hydrant', 'valve',
+      'water pipe', 'water tank', 'water damage', 'water overflow'
+    ],
+    visionWeight: 1.0,
+    priorityBoost: 1,
+    sla: {
+      Critical: { accept: 2, complete: 24 },
+      High: { accept: 8, complete: 48 }
+    }
+  },
+  {
+    name: 'Electricity',
+    displayName: { en: 'Electricity', ta: 'மின்சாரம்' },
+    visionKeywords: [
+      'electric', 'electricity', 'wire', 'wiring', 'cable', 'power line',
+      'transformer', 'pole', 'power pole', 'utility pole', 'streetlight',
+      'street light', 'lamp', 'lamp post', 'bulb', 'light', 'lighting',
+      'electric pole', 'power outage', 'blackout', 'short circuit',
+      'electrical', 'voltage', 'current', 'generator', 'inverter',
+      'circuit breaker', 'meter', 'electric meter', 'fuse', 'switch',
+      'overhead line', 'high tension', 'conductor', 'insulator',
+      'power grid', 'substation', 'energy', 'neon', 'fluorescent',
+      'led', 'electrical equipment', 'power supply', 'electric line'
+    ],
+    visionWeight: 1.0,
+    priorityBoost: 1,
+    sla: {
+      Critical: { accept: 2, complete: 12 },
+      High: { accept: 6, complete: 48 }
+    }
+  },
+  {
+    name: 'Roads & Highways',
+    displayName: { en: 'Roads & Highways', ta: 'சாலைகள் & நெடுஞ்சாலைகள்' },
+    visionKeywords: [
+      'road', 'highway', 'pothole', 'crack', 'asphalt', 'pavement',
+      'footpath', 'sidewalk', 'bridge', 'flyover', 'overpass', 'underpass',
+      'speed breaker', 'speed bump', 'divider', 'median', 'curb',
+      'road damage', 'road construction', 'tar', 'concrete', 'gravel',
+      'lane', 'intersection', 'junction', 'roundabout', 'road sign',
+      'traffic sign', 'barricade', 'guardrail', 'railing', 'manhole',
+      'road surface', 'street', 'avenue', 'boulevard', 'path', 'trail',
+      'cobblestone', 'bitumen', 'roadwork', 'paving', 'road marking',
+      'zebra crossing', 'crosswalk', 'pedestrian', 'roadway', 'infrastructure'
+    ],
+    visionWeight: 1.0,
+    priorityBoost: 0.5
+  },
+  {
+    name: 'Sanitation',
+    displayName: { en: 'Sanitation', ta: 'துப்புரவு' },
+    visionKeywords: [
+      'garbage', 'trash', 'waste', 'dump', 'litter', 'debris', 'rubbish',
+      'dustbin', 'bin', 'dumpster', 'compost', 'recycling', 'junk',
+      'pollution', 'dirty', 'filth', 'mess', 'unhygienic', 'unsanitary',
+      'toilet', 'restroom', 'latrine', 'sewage', 'sanitation',
+      'cleaning', 'sweeping', 'disposal', 'waste management',
+      'plastic', 'plastic waste', 'polythene', 'bottle', 'cans',
+      'food waste', 'organic waste', 'landfill', 'decomposition',
+      'stench', 'smell', 'odor', 'foul smell', 'rot', 'rotten',
+      'contamination', 'hazardous waste', 'biomedical waste'
+    ],
+    visionWeight: 1.0
+  },
+  {
+    name: 'Public Health',
+    displayName: { en: 'Public Health', ta: 'பொது சுகாதாரம்' },
+    visionKeywords: [
+      'hospital', 'clinic', 'medical', 'health', 'disease', 'infection',
+      'mosquito', 'pest', 'insect', 'rat', 'rodent', 'cockroach',
+      'dengue', 'malaria', 'epidemic', 'pandemic', 'vaccination',
+      'medicine', 'pharmacy', 'doctor', 'nurse', 'patient',
+      'ambulance', 'emergency', 'first aid', 'health hazard',
+      'contamination', 'polluted', 'toxic', 'chemical', 'smoke',
+      'air pollution', 'respiratory', 'safety', 'biohazard',
+      'stagnant', 'breeding ground', 'larvae', 'fly', 'flies',
+      'public health', 'hygiene', 'disinfection', 'sanitizer'
+    ],
+    visionWeight: 1.0,
+    priorityBoost: 1,
+    sla: {
+      Critical: { accept: 2, complete: 24 }
+    }
+  },
+  {
+    name: 'Education',
+    displayName: { en: 'Education', ta: 'கல்வி' },
+    visionKeywords: [
+      'school', 'college', 'university', 'classroom', 'education',
+      'student', 'teacher', 'blackboard', 'whiteboard', 'desk',
+      'chair', 'bench', 'library', 'book', 'notebook', 'stationery',
+      'playground', 'campus', 'laboratory', 'computer lab',
+      'hostel', 'canteen', 'auditorium', 'sports', 'academic',
+      'tuition', 'exam', 'scholarship', 'learning'
+    ],
+    visionWeight: 0.8
+  },
+  {
+    name: 'Transport',
+    displayName: { en: 'Transport', ta: 'போக்குவரத்து' },
+    visionKeywords: [
+      'bus', 'bus stop', 'bus stand', 'bus station', 'bus shelter',
+      'traffic', 'traffic light', 'traffic signal', 'traffic jam',
+      'vehicle', 'car', 'truck', 'auto', 'rickshaw', 'train',
+      'railway', 'metro', 'station', 'platform', 'parking',
+      'accident', 'collision', 'transport', 'transportation',
+      'commute', 'transit', 'route', 'highway', 'signal',
+      'pedestrian crossing', 'overloaded', 'public transport'
+    ],
+    visionWeight: 0.9
+  },
+  {
+    name: 'Revenue',
+    displayName: { en: 'Revenue', ta: 'வருவாய்' },
+    visionKeywords: [
+      'land', 'property', 'boundary', 'survey', 'deed', 'title',
+      'encroachment', 'illegal construction', 'demolition',
+      'tax', 'revenue', 'registration', 'document', 'certificate',
+      'patta', 'chitta', 'adangal', 'land record', 'measurement'
+    ],
+    visionWeight: 0.7,
+    sla: {
+      Medium: { accept: 48, complete: 336 },
+      Low: { accept: 96, complete: 720 }
+    }
+  },
+  {
+    name: 'Agriculture',
+    displayName: { en: 'Agriculture', ta: 'வேளாண்மை' },
+    visionKeywords: [
+      'farm', 'crop', 'field', 'agriculture', 'farming', 'harvest',
+      'irrigation', 'fertilizer', 'pesticide', 'soil', 'seed',
+      'tractor', 'plowing', 'cattle', 'livestock', 'poultry',
+      'paddy', 'rice', 'wheat', 'vegetable', 'fruit', 'garden',
+      'horticulture', 'plantation', 'orchard', 'greenhouse',
+      'drought', 'pest attack', 'crop damage', 'agricultural land'
+    ],
+    visionWeight: 0.8
+  },
+  {
+    name: 'General',
+    displayName: { en: 'General', ta: 'பொது' }
+  }
+];
+
+let departments = index(DEFAULT_DEPARTMENTS.map((d, i) => ({ active: true, sortOrder: i, ...d })));
+let timer = null;
+
+function index(list) {
+  const sorted = [...list].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name));
+  return new Map(sorted.map(d => [d.name, d]));
+}
+
+/**
+ * Reload the cache from the database, seeding the defaults into an empty collection.
+ */
+async function loadDepartments() {
+  let list = await Department.find().lean();
+  if (!list.length) {
+    try {
+      await Department.insertMany(DEFAULT_DEPARTMENTS.map((d, i) => ({ ...d, sortOrder: i })), { ordered: false });
+      console.log(`[Departments] Seeded ${DEFAULT_DEPARTMENTS.length} default departments`);
+    } catch (err) {
+      // Another instance seeding at the same time
+      if (err.code !== 11000) throw err;
+    }
+    list = await Department.find().lean();
+  }
+  departments = index(list);
+  return list.length;
+}
+
+async function refreshDepartments() {
+  try {
+    await loadDepartments();
+  } catch (err) {
+    console.error('[Departments] Refresh failed, keeping cached list:', err.message);
+  }
+}
+
+function startDepartmentRefresh() {
+  if (timer) return;
+  timer = setInterval(refreshDepartments, REFRESH_INTERVAL_MS);
+}
+
+function stopDepartmentRefresh() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Departments in display order. Inactive ones are left out unless asked for.
+ */
+function listDepartments({ includeInactive = false } = {}) {
+  const list = [...departments.values()];
+  return includeInactive ? list : list.filter(d => d.active !== false);
+}
+
+function getDepartment(name) {
+  return departments.get(name) || null;
+}
+
+/**
+ * Whether complaints and providers can be put in `name`. Inactive departments only
+ * count with includeInactive — records already in them stay valid.
+ */
+function isDepartment(name, { includeInactive = false } = {}) {
+  const department = departments.get(name);
+  return !!department && (includeInactive || department.active !== false);
+}
+
+function departmentLabel(name, lang = 'en') {
+  const displayName = departments.get(name)?.displayName || {};
+  return displayName[lang] || displayName.en || name;
+}
+
+module.exports = {
+  FALLBACK_DEPARTMENT,
+  loadDepartments,
+  startDepartmentRefresh,
+  stopDepartmentRefresh,
+  listDepartments,
+  getDepartment,
+  isDepartment,
+  departmentLabel
+};
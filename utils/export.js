@@ -0,0 +1,226 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// ============================================================
+// EXPORTS — CSV / Excel complaint listings and the PDF dashboard summary
+// ============================================================
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields loaded for export — never the photo, its storage reference or the tracking code
+const EXPORT_SELECT = '-photo -photoThumbnail -photoFile -trackingCode -followers -publicSharing';
+
+function formatIst(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', hour12: false });
+}
+
+// First time the complaint entered a status, from the status history
+function firstStatusAt(complaint, status) {
+  return (complaint.statusHistory || []).find(h => h.status === status)?.timestamp || null;
+}
+
+// Latest completion (a reopened complaint may have been completed more than once)
+function lastStatusAt(complaint, status) {
+  return [...(complaint.statusHistory || [])].reverse().find(h => h.status === status)?.timestamp || null;
+}
+
+/**
+ * SLA outcome for a complaint: Met / Breached for finished work, On Track / Overdue for
+ * open work, N/A when no due dates were stamped (rejected, merged, legacy records).
+ */
+function slaStatus(complaint, now = new Date()) {
+  const sla = complaint.sla;
+  if (!sla?.completeBy) return 'N/A';
+
+  const breached = !!(sla.acceptBreachedAt || sla.completeBreachedAt);
+  if (complaint.status === 'Completed') {
+    const completedAt = lastStatusAt(complaint, 'Completed');
+    return breached || (completedAt && completedAt > sla.completeBy) ? 'Breached' : 'Met';
+  }
+  if (['Rejected', 'Merged', 'Withdrawn'].includes(complaint.status)) return breached ? 'Breached' : 'N/A';
+  return breached || now > sla.completeBy ? 'Overdue' : 'On Track';
+}
+
+const COLUMNS = [
+  { header: 'Ticket ID', key: 'ticketId', width: 22 },
+  { header: 'Created At', key: 'createdAt', width: 20, date: true },
+  { header: 'Department', key: 'department', width: 18 },
+  { header: 'Area', key: 'area', width: 16 },
+  { header: 'Address', key: 'address', width: 40 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Priority', key: 'priority', width: 10 },
+  { header: 'Description', key: 'description', width: 60 },
+  { header: 'Citizen', key: 'userName', width: 20 },
+  { header: 'Assigned To', key: 'assignedToName', width: 20 },
+  { header: 'Accepted At', key: 'acceptedAt', width: 20, date: true },
+  { header: 'Completed At', key: 'completedAt', width: 20, date: true },
+  { header: 'Resolution Time (hours)', key: 'resolutionHours', width: 14 },
+  { header: 'SLA Status', key: 'slaStatus', width: 12 },
+  { header: 'Rating', key: 'rating', width: 8 },
+  { header: 'Feedback', key: 'feedback', width: 40 },
+  { header: 'Endorsements', key: 'endorsementCount', width: 12 },
+  { header: 'Reopened', key: 'reopenCount', width: 10 }
+];
+
+// One flat export row with computed columns
+function toExportRow(c, now = new Date()) {
+  const completedAt = c.status === 'Completed' ? lastStatusAt(c, 'Completed') : null;
+  return {
+    ticketId: c.ticketId,
+    createdAt: c.createdAt,
+    department: c.department,
+    area: c.area,
+    address: c.address || '',
+    status: c.status,
+    priority: c.priority,
+    description: c.description,
+    userName: c.userName,
+    assignedToName: c.assignedToName || '',
+    acceptedAt: firstStatusAt(c, 'Accepted'),
+    completedAt,
+    resolutionHours: completedAt ? Math.round(((completedAt - c.createdAt) / HOUR_MS) * 10) / 10 : '',
+    slaStatus: slaStatus(c, now),
+    rating: c.rating || '',
+    feedback: c.feedback || '',
+    endorsementCount: c.endorsementCount || 0,
+    reopenCount: c.reopenCount || 0
+  };
+}
+
+// RFC 4180 quoting, plus a leading quote on values Excel would run as formulas
+function csvCell(value) {
+  let text = value instanceof Date ? formatIst(value) : String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write honouring backpressure so large exports never buffer in memory
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+/**
+ * Stream complaints from a Mongo cursor to the response as CSV.
+ */
+async function streamComplaintsCsv(cursor, res, filename) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const now = new Date();
+  // BOM so Excel opens Tamil text as UTF-8
+  await write(res, '\uFEFF' + COLUMNS.map(col => csvCell(col.header)).join(',') + '\r\n');
+  for await (const complaint of cursor) {
+    const row = toExportRow(complaint, now);
+    await write(res, COLUMNS.map(col => csvCell(row[col.key])).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+/**
+ * Stream complaints from a Mongo cursor to the response as an .xlsx workbook.
+ */
+async function streamComplaintsXlsx(cursor, res, filename) {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Complaints', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS.map(({ header, key, width, date }) => ({
+    header, key, width, style: date ? { numFmt: 'dd-mmm-yyyy hh:mm' } : undefined
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  const now = new Date();
+  for await (const complaint of cursor) {
+    sheet.addRow(toExportRow(complaint, now)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Render the management dashboard figures as a printable one-page-per-section PDF.
+ */
+function writeDashboardPdf(stats, res, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  const heading = text => doc.moveDown(0.8).fontSize(13).fillColor('#1a237e').text(text).moveDown(0.3).fillColor('#000').fontSize(10);
+  const table = (headers, rows, widths) => {
+    const startX = doc.page.margins.left;
+    const drawRow = (cells, bold) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      let x = startX;
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? ''), x, y, { width: widths[i] - 4, lineBreak: false, ellipsis: true });
+        x += widths[i];
+      });
+      doc.moveDown(0.4);
+    };
+    drawRow(headers, true);
+    rows.forEach(r => drawRow(r, false));
+    doc.font('Helvetica').x = startX;
+  };
+
+  doc.fontSize(18).fillColor('#1a237e').text('Tamil Nadu Service Management Portal', { align: 'center' });
+  doc.fontSize(12).fillColor('#444').text('Complaints Dashboard Summary', { align: 'center' });
+  doc.fontSize(9).text(`Generated ${formatIst(new Date())} IST`, { align: 'center' });
+
+  const o = stats.overview;
+  heading('Overview');
+  table(['Metric', 'Count'], [
+    ['Total complaints', o.totalComplaints],
+    ['Registered', o.registered],
+    ['Accepted', o.accepted],
+    ['Working On', o.workingOn],
+    ['Completed', o.completed],
+    ['Reopened', o.reopened],
+    ['Withdrawn', o.withdrawn],
+    ['Overdue — not accepted', o.overdueAcceptance],
+    ['Overdue — not completed', o.overdueCompletion],
+    ['Citizens', o.totalUsers],
+    ['Service providers', o.totalProviders]
+  ], [250, 100]);
+
+  const p = stats.priorityBreakdown;
+  heading('Priority Breakdown');
+  table(['Critical', 'High', 'Medium', 'Low'], [[p.critical, p.high, p.medium, p.low]], [100, 100, 100, 100]);
+
+  heading('Departments');
+  table(
+    ['Department', 'Total', 'Registered', 'Accepted', 'Working', 'Completed', 'Providers'],
+    stats.departmentStats.map(d => [d.department, d.total, d.registered, d.accepted, d.workingOn, d.completed, d.providers]),
+    [130, 55, 65, 60, 60, 65, 60]
+  );
+
+  const overdue = stats.overdue.notCompleted.slice(0, 20);
+  if (overdue.length) {
+    heading('Most Overdue Complaints');
+    table(
+      ['Ticket', 'Department', 'Priority', 'Status', 'Overdue (h)'],
+      overdue.map(c => [c.ticketId, c.department, c.priority, c.status, c.overdueHours]),
+      [130, 130, 70, 80, 70]
+    );
+  }
+
+  doc.end();
+}
+
+module.exports = {
+  EXPORT_SELECT,
+  csvCell,
+  write,
+  lastStatusAt,
+  slaStatus,
+  toExportRow,
+  streamComplaintsCsv,
+  streamComplaintsXlsx,
+  writeDashboardPdf
+};
@@ -1,4 +1,5 @@
 const OpenAI = require('openai');
+const { getDepartment } = require('./departments');
 
 // OpenRouter API — compatible with OpenAI SDK, uses DeepSeek model
 const openai = new OpenAI({
@@ -83,7 +84,14 @@ const PRIORITY_KEYWORDS = {
     'drowning', 'sinkhole', 'gas leak', 'building crack', 'bridge damage',
     'short circuit', 'live wire', 'exposed wire', 'water contamination',
     'epidemic', 'outbreak', 'major damage', 'life threatening', 'critical',
-    'fallen tree', 'road cave', 'wall collapse', 'roof collapse', 'sewage overflow'
+    'fallen tree', 'road cave', 'wall collapse', 'roof collapse', 'sewage overflow',
+    // Tamil
+    'வெள்ளம்', 'தீ விபத்து', 'விபத்து', 'இடிந்து', 'ஆபத்து', 'அவசரம்', 'உயிரிழப்பு',
+    'மின்சாரம் தாக்கி', 'மின் கம்பி அறுந்து', 'மரம் விழுந்து', 'எரிவாயு கசிவு',
+    'கழிவுநீர் வழிந்து', 'குடிநீரில் கழிவுநீர்', 'சுவர் இடிந்து',
+    // Tanglish (Tamil in English letters)
+    'vellam', 'thee vibathu', 'vibathu', 'aabathu', 'abaayam', 'idinthu', 'idinju',
+    'maram vizhunthu', 'maram vilunthu', 'kambi arunthu', 'shock adichu', 'current adichu'
   ],
   High: [
     'broken', 'pothole', 'leak', 'leaking', 'sewage', 'blocked', 'damaged',
@@ -92,20 +100,37 @@ const PRIORITY_KEYWORDS = {
     'waterlogging', 'stagnant water', 'mosquito', 'garbage pile', 'dump',
     'illegal dumping', 'unsafe', 'hazard', 'risk', 'urgent',
     'no supply', 'pipeline break', 'main road', 'highway', 'bus breakdown',
-    'traffic signal', 'drainage block', 'manhole open', 'missing cover'
+    'traffic signal', 'drainage block', 'manhole open', 'missing cover',
+    // Tamil
+    'பள்ளம்', 'குழி', 'கசிவு', 'கழிவுநீர்', 'சாக்கடை', 'அடைப்பு', 'உடைந்து', 'உடைந்த',
+    'தண்ணீர் வரவில்லை', 'குடிநீர் வரவில்லை', 'மின்சாரம் இல்லை', 'மின்வெட்டு', 'தேங்கி',
+    'கொசு', 'குப்பை குவியல்', 'மூடி இல்லை',
+    // Tanglish
+    'kuzhi', 'pallam', 'udanjiruku', 'udainthu', 'thanni varala', 'thanni illa',
+    'current illa', 'current cut', 'kosu', 'saakadai', 'sakkadai', 'kuppai', 'adaippu', 'thengi'
   ],
   Medium: [
     'not working', 'malfunction', 'delayed', 'dirty', 'slow', 'complaint',
     'issue', 'problem', 'repair', 'maintenance', 'streetlight', 'lamp',
     'footpath', 'pavement', 'speed breaker', 'signal', 'noise', 'dust',
     'irregular', 'faulty', 'poor condition', 'needs attention', 'overdue',
-    'pending', 'unresolved', 'partially', 'intermittent', 'sometimes'
+    'pending', 'unresolved', 'partially', 'intermittent', 'sometimes',
+    // Tamil
+    'வேலை செய்யவில்லை', 'எரியவில்லை', 'தெருவிளக்கு', 'பழுது', 'சரிசெய்', 'தூசி', 'சத்தம்',
+    'நடைபாதை', 'வேகத்தடை',
+    // Tanglish
+    'work aagala', 'velai seiyala', 'eriyala', 'vilakku', 'sari seiyala', 'repair pannala',
+    'sattham', 'thoosi'
   ],
   Low: [
     'request', 'suggestion', 'new', 'improvement', 'inquiry', 'information',
     'feedback', 'install', 'installation', 'propose', 'plan', 'future',
     'beautification', 'painting', 'garden', 'park', 'bench', 'sign board',
-    'name board', 'bus stop', 'shelter', 'upgrade', 'enhance', 'minor'
+    'name board', 'bus stop', 'shelter', 'upgrade', 'enhance', 'minor',
+    // Tamil
+    'கோரிக்கை', 'பரிந்துரை', 'புதிய', 'பூங்கா', 'பேருந்து நிறுத்தம்', 'பெயர் பலகை', 'இருக்கை',
+    // Tanglish
+    'korikkai', 'puthu', 'poonga', 'peyar palagai'
   ]
 };
 
@@ -121,15 +146,11 @@ function localPrioritize(description, department) {
     }
   }
 
-  const deptBoosts = {
-    'Electricity': 1,
-    'Water Resources': 1,
-    'Public Health': 1,
-    'Roads & Highways': 0.5
-  };
-  if (deptBoosts[department]) {
-    scores.Critical += deptBoosts[department];
-    scores.High += deptBoosts[department] * 0.5;
+  // Departments whose issues tend to be urgent carry a boost in the registry
+  const boost = getDepartment(department)?.priorityBoost || 0;
+  if (boost) {
+    scores.Critical += boost;
+    scores.High += boost * 0.5;
   }
 
   const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]);
@@ -140,8 +161,9 @@ function localPrioritize(description, department) {
 // ============================================================
 // LOCAL FALLBACK: Text-similarity Duplicate & Fake Detection
 // ============================================================
+// Keeps Tamil script (U+0B80–U+0BFF) alongside English letters and digits
 function getWords(text) {
-  return text.toLowerCase().replace(/[^a-z0-9\s]/g, '').split(/\s+/).filter(w => w.length > 2);
+  return text.toLowerCase().replace(/[^a-z0-9\u0B80-\u0BFF\s]/g, '').split(/\s+/).filter(w => w.length > 2);
 }
 
 function jaccardSimilarity(wordsA, wordsB) {
@@ -183,10 +205,41 @@ const KNOWN_WORDS = new Set([
   'branch', 'fence', 'wall', 'gate', 'roof', 'floor', 'ceiling', 'window', 'door',
   'transformer', 'generator', 'inverter', 'streetlight', 'manhole', 'cover',
   'cracked', 'collapse', 'collapsed', 'sinking', 'eroded', 'erosion', 'landslide',
-  'request', 'suggestion', 'improvement', 'install', 'installation', 'upgrade'
+  'request', 'suggestion', 'improvement', 'install', 'installation', 'upgrade',
+  // Tanglish — everyday Tamil written in English letters
+  'thanni', 'thaneer', 'kudineer', 'neer', 'kuzhi', 'pallam', 'saalai', 'salai', 'theru',
+  'vilakku', 'current', 'minsaram', 'kambi', 'kambam', 'kuppai', 'saakadai', 'sakkadai',
+  'kazhivu', 'kosu', 'vellam', 'maram', 'veedu', 'veetu', 'kovil', 'palli', 'kadai', 'ooru',
+  'romba', 'rombha', 'illa', 'illai', 'varala', 'irukku', 'iruku', 'inga', 'enga', 'anga',
+  'naal', 'naala', 'naalaga', 'maasam', 'vaaram', 'rathiri', 'kaalai', 'innum', 'yaarum',
+  'vanthu', 'varanga', 'paakala', 'aagala', 'aachu', 'oru', 'rendu', 'moonu', 'ellarum',
+  'makkal', 'kashtam', 'kastam', 'pakkathula', 'pakkam', 'munnadi', 'pinnadi', 'kitta',
+  'udanju', 'udanjiruku', 'adaippu', 'thengi', 'nikkuthu', 'vazhiyuthu', 'naatram', 'naaram',
+  'sattham', 'thoosi', 'pugai', 'sari', 'pannunga', 'pannala', 'seiyunga', 'seiyala',
+  'sir', 'madam', 'ayya', 'vettu', 'eriyala', 'vizhunthu', 'vilunthu', 'aabathu', 'vibathu'
 ]);
 
+// Tamil stems — Tamil words take suffixes ("சாலையில்", on the road), so these match as prefixes
+const TAMIL_STEMS = [
+  'சாலை', 'தெரு', 'தண்ணீர்', 'குடிநீர்', 'நீர்', 'மின்', 'விளக்கு', 'தெருவிளக்கு', 'குப்பை',
+  'கழிவு', 'சாக்கடை', 'பள்ளம்', 'குழி', 'கசிவு', 'உடை', 'அடைப்பு', 'வெள்ளம்', 'மரம்', 'கம்பி',
+  'கம்பம்', 'பாலம்', 'கட்டிட', 'வீடு', 'வீட்டு', 'பள்ளி', 'மருத்துவமனை', 'கோவில்', 'பூங்கா',
+  'பேருந்து', 'நிறுத்த', 'கொசு', 'நாற்றம்', 'சத்தம்', 'தூசி', 'புகை', 'இல்லை', 'வரவில்லை',
+  'செய்யவில்லை', 'பல', 'நாட்கள்', 'நாள்', 'வாரம்', 'மாதம்', 'மக்கள்', 'அருகில்', 'முன்',
+  'பின்', 'எங்கள்', 'இங்கு', 'இந்த', 'அந்த', 'ஒரு', 'மிகவும்', 'ரொம்ப', 'உடனடி', 'தயவு',
+  'சரி', 'பழுது', 'புகார்', 'கோரிக்கை', 'பகுதி', 'ஊர்', 'நகர்', 'கிராம', 'வார்டு', 'காலை',
+  'மாலை', 'இரவு', 'இன்று', 'நேற்று', 'ஆபத்து', 'விபத்து', 'அவசர', 'பிரச்சனை', 'பிரச்சினை',
+  'தேங்கி', 'நிற்கிற', 'உள்ளது', 'இருக்கிற', 'ஆகிற', 'போகிற', 'வருகிற', 'மூடி', 'குழாய்',
+  'மோட்டார்', 'தொட்டி', 'கால்வாய்', 'வடிகால்', 'இடிந்து', 'விழுந்து'
+];
+const TAMIL_SCRIPT = /[\u0B80-\u0BFF]/;
+// Tamil vowel signs and the pulli are separate code units, so letters are counted as graphemes
+const graphemes = new Intl.Segmenter('ta', { granularity: 'grapheme' });
+
 function isKnownWord(word) {
+  if (TAMIL_SCRIPT.test(word)) {
+    return TAMIL_STEMS.some(stem => word.startsWith(stem)) || [...graphemes.segment(word)].length >= 6;
+  }
   return KNOWN_WORDS.has(word) || word.length >= 6; // Long words are likely real
 }
 
@@ -209,7 +262,7 @@ function localDetectDuplicateOrFake(description, department, area, existingCompl
     return { isDuplicate: false, duplicateOf: null, isFake: true, remarks: 'Description contains repeated character patterns (spam)' };
   }
 
-  // Check if words are recognizable English/complaint terms
+  // Check if words are recognizable English/Tamil/Tanglish complaint terms
   const knownCount = words.filter(w => isKnownWord(w)).length;
   const knownRatio = knownCount / words.length;
 
@@ -238,7 +291,8 @@ function localDetectDuplicateOrFake(description, department, area, existingCompl
   let bestScore = 0;
 
   for (const existing of existingComplaints) {
-    if (existing.area !== area) continue;
+    // Candidates found by radius search carry a distance; otherwise fall back to same-area matching
+    if (existing.distance === undefined && existing.area !== area) continue;
     const existingWords = getWords(existing.description);
     const similarity = jaccardSimilarity(newWords, existingWords);
     if (similarity > bestScore) {
@@ -271,6 +325,8 @@ Analyze the following complaint and assign a priority level.
 Department: ${department}
 Complaint: ${description}
 
+The complaint may be written in English, Tamil, or Tamil in English letters ("Tanglish").
+
 Consider these factors:
 - Safety risk to public (Critical if immediate danger)
 - Number of people affected
@@ -318,7 +374,7 @@ const detectDuplicateOrFake = async (description, department, area, existingComp
   // Try ChatGPT for more nuanced analysis
   if (existingComplaints.length > 0) {
     const existingSummaries = existingComplaints.slice(0, 15).map(c =>
-      `[${c.ticketId}] "${c.description}" (Area: ${c.area}, Status: ${c.status})`
+      `[${c.ticketId}] "${c.description}" (Area: ${c.area}${c.distance !== undefined ? `, ${Math.round(c.distance)}m away` : ''}, Status: ${c.status})`
     ).join('\n');
 
     const prompt = `You are an AI assistant for the Tamil Nadu Service Management Portal.
@@ -338,9 +394,11 @@ Respond in this EXACT JSON format only (no markdown, no code blocks, no extra te
 {"isDuplicate": false, "duplicateOf": null, "isFake": false, "remarks": "Brief analysis"}
 
 Rules:
-- isDuplicate: true ONLY if description closely matches an existing complaint in same area
+- isDuplicate: true ONLY if description closely matches an existing complaint in same area or within a few hundred meters
 - duplicateOf: the ticketId of the matching complaint, or null
-- isFake: true if the description is gibberish, nonsensical, clearly fabricated, or spam
+- isFake: true if the description is gibberish, nonsensical, clearly fabricated, or spam.
+  Descriptions in Tamil, in Tanglish (Tamil in English letters) or mixing either with English are genuine language, not gibberish.
+- Compare meaning across languages: a Tamil complaint can duplicate an English one
 - remarks: brief 1-line explanation of your analysis`;
 
     const response = await callAI(prompt, 150);
@@ -0,0 +1,136 @@
+// ============================================================
+// GEO HELPERS — GeoJSON points for complaint locations, Tamil Nadu districts, geohashes
+// ============================================================
+
+// The 38 districts of Tamil Nadu with the short codes used in ticket IDs
+const TN_DISTRICTS = {
+  Chennai: 'CHN', Coimbatore: 'CBE', Madurai: 'MDU', Tiruchirappalli: 'TRY', Salem: 'SLM',
+  Tirunelveli: 'TVL', Erode: 'ERD', Vellore: 'VLR', Thoothukudi: 'TUT', Dindigul: 'DGL',
+  Thanjavur: 'TNJ', Ranipet: 'RPT', Sivaganga: 'SVG', Karur: 'KRR', Namakkal: 'NMK',
+  Tiruppur: 'TPR', Cuddalore: 'CUD', Kanchipuram: 'KPM', Tiruvannamalai: 'TVM', Villupuram: 'VPM',
+  Nagapattinam: 'NGP', Ramanathapuram: 'RMD', Virudhunagar: 'VNR', Krishnagiri: 'KGI', Dharmapuri: 'DPI',
+  Perambalur: 'PMB', Ariyalur: 'ALR', Nilgiris: 'NLG', Pudukkottai: 'PDK', Theni: 'THN',
+  Kanyakumari: 'KKM', Kallakurichi: 'KLK', Chengalpattu: 'CGL', Tiruvallur: 'TLR', Tenkasi: 'TKS',
+  Tirupattur: 'TPT', Mayiladuthurai: 'MYD', Tiruvarur: 'TVR'
+};
+
+// First district named in free text ("Adyar, Chennai" → "Chennai"), or null
+function findDistrict(text) {
+  const lower = (text || '').toLowerCase();
+  return Object.keys(TN_DISTRICTS).find(d => lower.includes(d.toLowerCase())) || null;
+}
+
+/**
+ * Build a GeoJSON point from latitude/longitude (numbers or numeric strings).
+ * Returns null when either value is missing or out of range.
+ * Note GeoJSON order is [longitude, latitude].
+ */
+function toPoint(latitude, longitude) {
+  if (latitude === undefined || latitude === null || latitude === '' ||
+      longitude === undefined || longitude === null || longitude === '') return null;
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { type: 'Point', coordinates: [lng, lat] };
+}
+
+// ---------- GEOHASH ----------
+// Complaints store a 9-character geohash (~5 m); any prefix of it is a coarser cell,
+// so bucketing by area is a $substrCP in an aggregation.
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0, bit = 0, evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    if (value >= mid) {
+      bits = (bits << 1) | 1;
+      range[0] = mid;
+    } else {
+      bits = bits << 1;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bit === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bit = 0;
+    }
+  }
+  return hash;
+}
+
+// Bounding box of a geohash cell as [minLng, minLat, maxLng, maxLat] (GeoJSON bbox order)
+function geohashBounds(hash) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_BASE32.indexOf(char);
+    for (let n = 4; n >= 0; n--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> n) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return [lngRange[0], latRange[0], lngRange[1], latRange[1]];
+}
+
+// The 8 cells around a geohash cell (fewer at the poles / date line are not a concern in Tamil Nadu)
+function geohashNeighbours(hash) {
+  const [minLng, minLat, maxLng, maxLat] = geohashBounds(hash);
+  const lat = (minLat + maxLat) / 2, lng = (minLng + maxLng) / 2;
+  const dLat = maxLat - minLat, dLng = maxLng - minLng;
+  const neighbours = [];
+  for (const y of [-1, 0, 1]) {
+    for (const x of [-1, 0, 1]) {
+      if (x || y) neighbours.push(encodeGeohash(lat + y * dLat, lng + x * dLng, hash.length));
+    }
+  }
+  return neighbours;
+}
+
+// Great-circle distance in meters between two [lng, lat] pairs
+function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * District and geohash for a complaint, stored so analytics can bucket by them.
+ * `point` is the GeoJSON location (or null); the district comes from the area / address text.
+ */
+function geoTags(area, address, point) {
+  return {
+    district: findDistrict(`${area || ''} ${address || ''}`),
+    geohash: point ? encodeGeohash(point.coordinates[1], point.coordinates[0]) : null
+  };
+}
+
+module.exports = {
+  TN_DISTRICTS,
+  GEOHASH_PRECISION,
+  findDistrict,
+  toPoint,
+  encodeGeohash,
+  geohashBounds,
+  geohashNeighbours,
+  distanceMeters,
+  geoTags
+};
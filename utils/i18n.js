@@ -0,0 +1,177 @@
+// ============================================================
+// I18N — English / Tamil API messages
+// ============================================================
+// Routes keep responding in English; the localize middleware swaps `message` for its
+// translation. The catalogue is keyed by the English text, gettext-style, so a message
+// without a translation simply stays English. `{name}` marks a variable part.
+const SUPPORTED_LANGUAGES = ['en', 'ta'];
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  ta: {
+    // Auth
+    'OTP sent to your email': 'உங்கள் மின்னஞ்சலுக்கு OTP அனுப்பப்பட்டது',
+    'New OTP sent to your email': 'புதிய OTP உங்கள் மின்னஞ்சலுக்கு அனுப்பப்பட்டது',
+    'User already exists with this email': 'இந்த மின்னஞ்சலில் ஏற்கனவே ஒரு கணக்கு உள்ளது',
+    'User not found': 'பயனர் கண்டுபிடிக்கப்படவில்லை',
+    'Invalid OTP': 'தவறான OTP',
+    'OTP has expired. Please request a new one.': 'OTP காலாவதியாகிவிட்டது. புதிய OTP-ஐக் கோருங்கள்.',
+    'Email verified successfully. You can now log in.': 'மின்னஞ்சல் சரிபார்க்கப்பட்டது. இப்போது உள்நுழையலாம்.',
+    'Please verify your email first': 'முதலில் உங்கள் மின்னஞ்சலைச் சரிபார்க்கவும்',
+    'Invalid credentials': 'தவறான உள்நுழைவு விவரங்கள்',
+    'Login successful': 'வெற்றிகரமாக உள்நுழைந்தீர்கள்',
+    'Language preference updated': 'மொழி விருப்பம் புதுப்பிக்கப்பட்டது',
+    'language must be one of: {languages}': 'மொழி இவற்றில் ஒன்றாக இருக்க வேண்டும்: {languages}',
+    'No token, authorization denied': 'அனுமதி மறுக்கப்பட்டது. மீண்டும் உள்நுழையவும்.',
+    'Token is not valid': 'உள்நுழைவு காலாவதியாகிவிட்டது. மீண்டும் உள்நுழையவும்.',
+    'Access denied': 'அணுகல் மறுக்கப்பட்டது',
+
+    // Complaints
+    'Complaint not found': 'புகார் கண்டுபிடிக்கப்படவில்லை',
+    'Complaint registered successfully': 'புகார் வெற்றிகரமாகப் பதிவு செய்யப்பட்டது',
+    'Complaint flagged as potential duplicate of {ticketId}': 'இந்தப் புகார் {ticketId} புகாரின் நகலாக இருக்கலாம் எனக் குறிக்கப்பட்டுள்ளது',
+    'This issue is already reported as {ticketId}. Your complaint has been linked to it and you will receive all its updates.':
+      'இந்தப் பிரச்சனை ஏற்கனவே {ticketId} ஆகப் பதிவாகியுள்ளது. உங்கள் புகார் அதனுடன் இணைக்கப்பட்டது; அதன் அனைத்துத் தகவல்களும் உங்களுக்கு அனுப்பப்படும்.',
+    'This complaint appears to be invalid or fake. AI Remarks: {remarks}': 'இந்தப் புகார் செல்லாததாகவோ போலியாகவோ தெரிகிறது. AI குறிப்பு: {remarks}',
+    'Photo is required. Please take a live photo.': 'புகைப்படம் தேவை. தயவுசெய்து நேரடியாக ஒரு புகைப்படம் எடுக்கவும்.',
+    'Photo is required for analysis': 'பகுப்பாய்வுக்குப் புகைப்படம் தேவை',
+    'Description is required.': 'விவரம் தேவை.',
+    'Description or a voice note is required.': 'விவரம் அல்லது குரல் பதிவு தேவை.',
+    'Area is required.': 'பகுதி தேவை.',
+    'Unknown department: {department}': 'அறியப்படாத துறை: {department}',
+    'Could not process the photo. Please retake and try again.': 'புகைப்படத்தைச் செயலாக்க முடியவில்லை. மீண்டும் எடுத்து முயற்சிக்கவும்.',
+    'Could not process one of the photos. Please retake and try again.': 'ஒரு புகைப்படத்தைச் செயலாக்க முடியவில்லை. மீண்டும் எடுத்து முயற்சிக்கவும்.',
+    'Could not read the upload': 'பதிவேற்றத்தைப் படிக்க முடியவில்லை',
+    'Voice note is too long (max {seconds} seconds)': 'குரல் பதிவு மிக நீளமாக உள்ளது (அதிகபட்சம் {seconds} விநாடிகள்)',
+    'Video is too long (max {seconds} seconds)': 'வீடியோ மிக நீளமாக உள்ளது (அதிகபட்சம் {seconds} விநாடிகள்)',
+    'Voice note format is not supported': 'இந்தக் குரல் பதிவு வடிவம் ஆதரிக்கப்படவில்லை',
+    'Video format is not supported': 'இந்த வீடியோ வடிவம் ஆதரிக்கப்படவில்லை',
+    'Latitude and longitude required': 'அட்சரேகை மற்றும் தீர்க்கரேகை தேவை',
+    'Valid lat and lng query parameters are required': 'சரியான அட்சரேகை (lat) மற்றும் தீர்க்கரேகை (lng) தேவை',
+    'Nothing to update': 'புதுப்பிக்க எதுவும் இல்லை',
+    'You can only edit your own complaints': 'உங்கள் சொந்தப் புகார்களை மட்டுமே திருத்த முடியும்',
+    'Complaints can only be edited until a service provider accepts them': 'சேவை வழங்குநர் ஏற்கும் வரை மட்டுமே புகாரைத் திருத்த முடியும்',
+    'You can only withdraw your own complaints': 'உங்கள் சொந்தப் புகார்களை மட்டுமே திரும்பப் பெற முடியும்',
+    'A complaint that is "{status}" cannot be withdrawn': '"{status}" நிலையில் உள்ள புகாரைத் திரும்பப் பெற முடியாது',
+    'Complaint withdrawn': 'புகார் திரும்பப் பெறப்பட்டது',
+    'You can only reopen your own complaints': 'உங்கள் சொந்தப் புகார்களை மட்டுமே மீண்டும் திறக்க முடியும்',
+    'Only completed complaints can be reopened': 'முடிக்கப்பட்ட புகார்களை மட்டுமே மீண்டும் திறக்க முடியும்',
+    'Please tell us why you are reopening this complaint': 'இந்தப் புகாரை ஏன் மீண்டும் திறக்கிறீர்கள் என்று தெரிவிக்கவும்',
+    'Complaints can only be reopened within {days} days of completion. Please file a new complaint.':
+      'முடிக்கப்பட்ட {days} நாட்களுக்குள் மட்டுமே புகாரை மீண்டும் திறக்க முடியும். புதிய புகாரைப் பதிவு செய்யவும்.',
+    'Complaint reopened': 'புகார் மீண்டும் திறக்கப்பட்டது',
+    'You can only rate your own complaints': 'உங்கள் சொந்தப் புகார்களை மட்டுமே மதிப்பிட முடியும்',
+    'Can only rate completed complaints': 'முடிக்கப்பட்ட புகார்களை மட்டுமே மதிப்பிட முடியும்',
+    'You have already rated this complaint': 'இந்தப் புகாரை ஏற்கனவே மதிப்பிட்டுள்ளீர்கள்',
+    'Rating must be between 1 and 5': 'மதிப்பீடு 1 முதல் 5 வரை இருக்க வேண்டும்',
+    'Thank you for your feedback!': 'உங்கள் கருத்துக்கு நன்றி!',
+    'You filed this complaint': 'இந்தப் புகாரைப் பதிவு செய்தவர் நீங்களே',
+    'You have already endorsed this complaint': 'இந்தப் புகாரை ஏற்கனவே ஆதரித்துள்ளீர்கள்',
+    'Only open complaints can be endorsed': 'நிலுவையில் உள்ள புகார்களை மட்டுமே ஆதரிக்க முடியும்',
+    'This complaint was merged into another ticket. Please endorse that one instead.': 'இந்தப் புகார் வேறொரு புகாருடன் இணைக்கப்பட்டது. அதை ஆதரிக்கவும்.',
+    'Thank you! You will receive updates on this complaint.': 'நன்றி! இந்தப் புகார் பற்றிய தகவல்கள் உங்களுக்கு அனுப்பப்படும்.',
+    'You can only change sharing on your own complaints': 'உங்கள் சொந்தப் புகார்களின் பகிர்வை மட்டுமே மாற்ற முடியும்',
+    'Sharing preferences updated': 'பகிர்வு விருப்பங்கள் புதுப்பிக்கப்பட்டன',
+    'At most {count} complaints can be synced at once': 'ஒரே நேரத்தில் அதிகபட்சம் {count} புகார்களை ஒத்திசைக்கலாம்',
+
+    // Comments
+    'Comment text or an attachment is required': 'கருத்து அல்லது இணைப்பு தேவை',
+    'Comment is too long (max 2000 characters)': 'கருத்து மிக நீளமாக உள்ளது (அதிகபட்சம் 2000 எழுத்துகள்)',
+    'You can attach at most {count} images': 'அதிகபட்சம் {count} படங்களை இணைக்கலாம்',
+    'One of the attachments is not a valid image': 'இணைப்புகளில் ஒன்று சரியான படம் அல்ல',
+
+    // Public tracking
+    'No complaint found for this ticket ID and code': 'இந்தப் புகார் எண் மற்றும் குறியீட்டுக்கு எந்தப் புகாரும் இல்லை',
+    'Too many tracking requests. Please wait a minute and try again.': 'அதிகமான கோரிக்கைகள். ஒரு நிமிடம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+
+    // Errors
+    'Server error': 'சர்வர் பிழை',
+    'Server error during signup': 'பதிவின் போது சர்வர் பிழை',
+    'Server error during verification': 'சரிபார்ப்பின் போது சர்வர் பிழை',
+    'Server error during login': 'உள்நுழைவின் போது சர்வர் பிழை',
+    'Server error storing photo': 'புகைப்படத்தைச் சேமிப்பதில் சர்வர் பிழை',
+    'Server error storing attachments': 'இணைப்புகளைச் சேமிப்பதில் சர்வர் பிழை',
+    'Server error creating complaint: {error}': 'புகாரைப் பதிவு செய்வதில் சர்வர் பிழை: {error}'
+  }
+};
+
+// Complaint statuses as shown to citizens
+const STATUS_LABELS = {
+  ta: {
+    'Registered': 'பதிவு செய்யப்பட்டது',
+    'Accepted': 'ஏற்கப்பட்டது',
+    'Working On': 'பணி நடைபெறுகிறது',
+    'Completed': 'முடிக்கப்பட்டது',
+    'Rejected': 'நிராகரிக்கப்பட்டது',
+    'Reopened': 'மீண்டும் திறக்கப்பட்டது',
+    'Merged': 'இணைக்கப்பட்டது',
+    'Withdrawn': 'திரும்பப் பெறப்பட்டது'
+  }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Complaints can only be reopened within {days} days" → /^Complaints can only be reopened within (.+?) days$/
+const PATTERNS = {};
+for (const [lang, catalogue] of Object.entries(MESSAGES)) {
+  PATTERNS[lang] = Object.keys(catalogue)
+    .filter(key => key.includes('{'))
+    .map(key => {
+      const names = [...key.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      const source = key.split(/\{\w+\}/).map(escapeRegExp).join('(.+?)');
+      return { regex: new RegExp(`^${source}$`, 's'), names, template: catalogue[key] };
+    });
+}
+
+/**
+ * Pick the best supported language from an Accept-Language header
+ * (e.g. "ta-IN,ta;q=0.9,en;q=0.8" → "ta"). Falls back to English.
+ */
+function resolveLanguage(header) {
+  if (!header) return DEFAULT_LANGUAGE;
+  const ranked = String(header).split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter(entry => entry.lang && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = ranked.find(entry => SUPPORTED_LANGUAGES.includes(entry.lang));
+  return match ? match.lang : DEFAULT_LANGUAGE;
+}
+
+function normalizeLanguage(lang) {
+  return SUPPORTED_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+// Translate an English API message; unknown messages are returned unchanged
+function translateMessage(message, lang) {
+  const catalogue = MESSAGES[lang];
+  if (!catalogue || typeof message !== 'string') return message;
+  if (catalogue[message]) return catalogue[message];
+
+  for (const { regex, names, template } of PATTERNS[lang]) {
+    const match = message.match(regex);
+    if (match) {
+      return names.reduce((text, name, i) => text.replace(`{${name}}`, match[i + 1]), template);
+    }
+  }
+  return message;
+}
+
+function statusLabel(status, lang) {
+  return STATUS_LABELS[lang]?.[status] || status;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  normalizeLanguage,
+  translateMessage,
+  statusLabel
+};
@@ -1,4 +1,6 @@
 const nodemailer = require('nodemailer');
+const User = require('../models/User');
+const { DEFAULT_LANGUAGE, normalizeLanguage, statusLabel } = require('./i18n');
 
 // Create transporter with error handling
 let transporter;
@@ -36,23 +38,113 @@ async function safeSendMail(mailOptions, context) {
 }
 
 const PORTAL_URL = process.env.FRONTEND_URL || 'https://frontend-blaze2-0.onrender.com';
+const BACKEND_URL = (process.env.BACKEND_URL || '').replace(/\/$/, '');
+
+// Stored-file URLs may be relative to the backend (local storage); emails need absolute links
+function absoluteUrl(url) {
+  if (!url) return null;
+  if (/^https?:\/\//.test(url)) return url;
+  return BACKEND_URL ? `${BACKEND_URL}${url}` : null;
+}
+
+// ============================================================
+// LOCALIZED TEXT — citizen-facing emails follow the recipient's language preference
+// ============================================================
+// Staff emails (assignments, transfers, SLA alerts) stay in English, the working
+// language of the departments.
+const EMAIL_TEXT = {
+  en: {
+    portalName: 'Tamil Nadu Service Management Portal',
+    footer: '© 2026 TNSMP - Government of Tamil Nadu',
+    hello: name => `Hello <strong>${name}</strong>,`,
+    ticketId: 'Ticket ID',
+    department: 'Department',
+    area: 'Area',
+    priority: 'Priority',
+    priorities: {},
+    note: 'Note',
+    handledBy: 'Handled by',
+    otpSubject: 'TNSMP - Email Verification OTP',
+    otpIntro: 'Your verification OTP is:',
+    otpValidity: 'This OTP is valid for 5 minutes. Do not share it with anyone.',
+    confirmationSubject: ticketId => `TNSMP - Complaint Registered: ${ticketId}`,
+    registered: 'Your complaint has been registered.',
+    trackingCode: 'Tracking Code',
+    shareTracking: 'Anyone you share the Ticket ID and Tracking Code with can follow progress without logging in:',
+    trackButton: 'Track Complaint',
+    statusSubject: (ticketId, status) => `TNSMP - Complaint ${ticketId} Status Update: ${status}`,
+    statusUpdated: 'Your complaint status has been updated:',
+    newStatus: 'New Status',
+    workPhotos: 'Photos of the work:',
+    checkStatus: 'Check Status',
+    viewDetails: 'Log in to the TNSMP portal to view full details.',
+    commentSubject: (internal, ticketId) => `TNSMP - New ${internal ? 'Internal Note' : 'Comment'} on ${ticketId}`,
+    commented: (author, role, ticketId) => `<strong>${author}</strong> (${role}) commented on complaint <strong>${ticketId}</strong>:`,
+    roles: { user: 'Citizen', provider: 'Service Provider', management: 'Management' },
+    imagesAttached: count => `${count} image(s) attached`,
+    replyButton: 'Reply in Portal'
+  },
+  ta: {
+    portalName: 'தமிழ்நாடு சேவை மேலாண்மைப் போர்டல்',
+    footer: '© 2026 TNSMP - தமிழ்நாடு அரசு',
+    hello: name => `வணக்கம் <strong>${name}</strong>,`,
+    ticketId: 'புகார் எண்',
+    department: 'துறை',
+    area: 'பகுதி',
+    priority: 'முன்னுரிமை',
+    priorities: { Critical: 'மிக அவசரம்', High: 'அதிகம்', Medium: 'நடுத்தரம்', Low: 'குறைவு' },
+    note: 'குறிப்பு',
+    handledBy: 'கையாள்பவர்',
+    otpSubject: 'TNSMP - மின்னஞ்சல் சரிபார்ப்பு OTP',
+    otpIntro: 'உங்கள் சரிபார்ப்பு OTP:',
+    otpValidity: 'இந்த OTP 5 நிமிடங்களுக்கு மட்டுமே செல்லுபடியாகும். யாருடனும் பகிர வேண்டாம்.',
+    confirmationSubject: ticketId => `TNSMP - புகார் பதிவு செய்யப்பட்டது: ${ticketId}`,
+    registered: 'உங்கள் புகார் பதிவு செய்யப்பட்டது.',
+    trackingCode: 'கண்காணிப்புக் குறியீடு',
+    shareTracking: 'புகார் எண்ணையும் கண்காணிப்புக் குறியீட்டையும் நீங்கள் பகிரும் எவரும் உள்நுழையாமலே முன்னேற்றத்தைப் பார்க்கலாம்:',
+    trackButton: 'புகாரைக் கண்காணிக்க',
+    statusSubject: (ticketId, status) => `TNSMP - புகார் ${ticketId} நிலை: ${status}`,
+    statusUpdated: 'உங்கள் புகாரின் நிலை புதுப்பிக்கப்பட்டுள்ளது:',
+    newStatus: 'புதிய நிலை',
+    workPhotos: 'பணியின் புகைப்படங்கள்:',
+    checkStatus: 'நிலையைப் பார்க்க',
+    viewDetails: 'முழு விவரங்களுக்கு TNSMP போர்டலில் உள்நுழையவும்.',
+    commentSubject: (internal, ticketId) => `TNSMP - ${ticketId} புகாரில் புதிய ${internal ? 'உள் குறிப்பு' : 'கருத்து'}`,
+    commented: (author, role, ticketId) => `<strong>${author}</strong> (${role}) <strong>${ticketId}</strong> புகாரில் கருத்து தெரிவித்துள்ளார்:`,
+    roles: { user: 'குடிமகன்', provider: 'சேவை வழங்குநர்', management: 'நிர்வாகம்' },
+    imagesAttached: count => `${count} படம்(கள்) இணைக்கப்பட்டுள்ளன`,
+    replyButton: 'போர்டலில் பதிலளிக்க'
+  }
+};
+
+// Language preference of the account behind an address; unknown addresses get English
+async function recipientLanguage(email) {
+  try {
+    const user = await User.findOne({ email }).select('language').lean();
+    return normalizeLanguage(user?.language);
+  } catch (err) {
+    console.error('[Mailer] Could not look up language preference:', err.message);
+    return DEFAULT_LANGUAGE;
+  }
+}
 
 const sendOTP = async (email, otp) => {
+  const t = EMAIL_TEXT[await recipientLanguage(email)];
   const mailOptions = {
     from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
     to: email,
-    subject: 'TNSMP - Email Verification OTP',
+    subject: t.otpSubject,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
-        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <h2 style="color: #1a237e; text-align: center;">${t.portalName}</h2>
         <hr style="border: 1px solid #e0e0e0;">
-        <p style="font-size: 16px; color: #333;">Your verification OTP is:</p>
+        <p style="font-size: 16px; color: #333;">${t.otpIntro}</p>
         <div style="text-align: center; margin: 20px 0;">
           <span style="font-size: 36px; font-weight: bold; color: #1a237e; letter-spacing: 8px; background: #e8eaf6; padding: 10px 30px; border-radius: 8px;">${otp}</span>
         </div>
-        <p style="font-size: 14px; color: #666;">This OTP is valid for 5 minutes. Do not share it with anyone.</p>
+        <p style="font-size: 14px; color: #666;">${t.otpValidity}</p>
         <hr style="border: 1px solid #e0e0e0;">
-        <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
+        <p style="font-size: 12px; color: #999; text-align: center;">${t.footer}</p>
       </div>
     `
   };
@@ -124,43 +216,302 @@ const sendComplaintAssignment = async (providerEmail, providerName, complaint) =
   await safeSendMail(mailOptions, 'Complaint Assignment');
 };
 
+// Tell a provider a complaint has left their queue (withdrawn by the citizen, merged, moved department)
+const sendComplaintWithdrawn = async (providerEmail, providerName, complaint, reason) => {
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: providerEmail,
+    subject: `TNSMP - Complaint ${complaint.ticketId} Removed From Your Queue`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">Hello <strong>${providerName}</strong>,</p>
+        <p>The following complaint no longer needs your action.</p>
+        <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          <p><strong>Ticket ID:</strong> ${complaint.ticketId}</p>
+          <p><strong>Area:</strong> ${complaint.area}</p>
+          <p><strong>Reason:</strong> ${reason}</p>
+        </div>
+        <p style="font-size: 14px; color: #666;">No further action is needed on this ticket.</p>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Complaint Withdrawn');
+};
+
+// Ask a colleague to take over a complaint (provider-to-provider transfer)
+const sendTransferRequest = async (providerEmail, providerName, complaint, fromName, reason) => {
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: providerEmail,
+    subject: `TNSMP - Transfer Request: ${complaint.ticketId}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">Hello <strong>${providerName}</strong>,</p>
+        <p><strong>${fromName}</strong> has asked you to take over the following complaint.</p>
+        <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          <p><strong>Ticket ID:</strong> ${complaint.ticketId}</p>
+          <p><strong>Area:</strong> ${complaint.area}</p>
+          <p><strong>Priority:</strong> ${complaint.priority}</p>
+          <p><strong>Status:</strong> ${complaint.status}</p>
+          ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        </div>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">Review in Portal</a>
+        </div>
+        <p style="font-size: 14px; color: #666;">Please log in to accept or decline the transfer.</p>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Transfer Request');
+};
+
+// Ask management and the receiving department to approve moving a misrouted complaint
+const sendDepartmentChangeRequest = async (email, name, complaint, request) => {
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: `TNSMP - Department Change Requested: ${complaint.ticketId}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">Hello <strong>${name}</strong>,</p>
+        <p><strong>${request.requestedByName}</strong> believes this complaint was routed to the wrong department.</p>
+        <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          <p><strong>Ticket ID:</strong> ${complaint.ticketId}</p>
+          <p><strong>Area:</strong> ${complaint.area}</p>
+          <p><strong>Move:</strong> ${request.fromDepartment} → <strong>${request.toDepartment}</strong></p>
+          <p><strong>Reason:</strong> ${request.reason}</p>
+          <p><strong>Description:</strong> ${complaint.description.substring(0, 200)}${complaint.description.length > 200 ? '...' : ''}</p>
+        </div>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">Review in Portal</a>
+        </div>
+        <p style="font-size: 14px; color: #666;">Please log in to approve or decline the change.</p>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Department Change Request');
+};
+
+// One summary email per provider after a bulk management action, instead of one per ticket
+const sendAssignmentDigest = async (providerEmail, providerName, { assigned = [], removed = [] }, reason) => {
+  const rows = list => list.map(c => `
+            <tr>
+              <td style="padding: 4px 8px;">${c.ticketId}</td>
+              <td style="padding: 4px 8px;">${c.department}</td>
+              <td style="padding: 4px 8px;">${c.area}</td>
+              <td style="padding: 4px 8px;">${c.priority}</td>
+            </tr>`).join('');
+  const section = (title, list) => list.length ? `
+        <p><strong>${title} (${list.length})</strong></p>
+        <div style="background: #e8eaf6; padding: 10px; border-radius: 8px; margin: 10px 0;">
+          <table style="width: 100%; font-size: 13px; border-collapse: collapse;">${rows(list)}
+          </table>
+        </div>` : '';
+
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: providerEmail,
+    subject: `TNSMP - Your Complaint Queue Was Updated (${assigned.length + removed.length} tickets)`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">Hello <strong>${providerName}</strong>,</p>
+        <p>Management has updated the complaints in your queue.</p>
+        ${section('Assigned to you', assigned)}
+        ${section('Removed from your queue', removed)}
+        ${reason ? `<p><strong>Note:</strong> ${reason}</p>` : ''}
+        <p style="font-size: 14px; color: #666;">Please log in to the portal to review your queue.</p>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Assignment Digest');
+};
+
+// Confirm registration to the citizen, with the public tracking link and verification code
+const sendComplaintConfirmation = async (userEmail, userName, complaint, trackingCode) => {
+  const trackUrl = `${PORTAL_URL}/track/${complaint.ticketId}`;
+  const t = EMAIL_TEXT[await recipientLanguage(userEmail)];
+
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: userEmail,
+    subject: t.confirmationSubject(complaint.ticketId),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">${t.portalName}</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">${t.hello(userName)}</p>
+        <p>${t.registered}</p>
+        <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          <p><strong>${t.ticketId}:</strong> ${complaint.ticketId}</p>
+          <p><strong>${t.department}:</strong> ${complaint.department}</p>
+          <p><strong>${t.area}:</strong> ${complaint.area}</p>
+          <p><strong>${t.priority}:</strong> ${t.priorities[complaint.priority] || complaint.priority}</p>
+          <p><strong>${t.trackingCode}:</strong> <span style="font-size: 20px; font-weight: bold; color: #1a237e; letter-spacing: 4px;">${trackingCode}</span></p>
+        </div>
+        <p style="font-size: 14px; color: #333;">${t.shareTracking}</p>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${trackUrl}" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">${t.trackButton}</a>
+        </div>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">${t.footer}</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Complaint Confirmation');
+};
+
 // Notify user about complaint status update
-const sendStatusUpdate = async (userEmail, userName, complaint, newStatus, note) => {
+const sendStatusUpdate = async (userEmail, userName, complaint, newStatus, note, photos = []) => {
   const statusEmoji = {
     'Registered': '📋',
     'Accepted': '✅',
     'Working On': '🔧',
     'Completed': '🎉',
-    'Rejected': '❌'
+    'Rejected': '❌',
+    'Reopened': '🔁',
+    'Merged': '🔗',
+    'Withdrawn': '↩️'
   };
+  const lang = await recipientLanguage(userEmail);
+  const t = EMAIL_TEXT[lang];
+  const status = statusLabel(newStatus, lang);
+
+  // Proof-of-work photos from the provider, shown as linked thumbnails
+  const photoLinks = photos
+    .map(p => ({ href: absoluteUrl(p.url), src: absoluteUrl(p.thumbnailUrl || p.url), kind: p.kind }))
+    .filter(p => p.href && p.src);
+  const photosHtml = photoLinks.length ? `
+          <p><strong>${t.workPhotos}</strong></p>
+          <div>${photoLinks.map(p => `<a href="${p.href}"><img src="${p.src}" alt="${p.kind} photo" style="width: 140px; margin: 4px; border-radius: 6px;"></a>`).join('')}</div>` : '';
 
   const mailOptions = {
     from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
     to: userEmail,
-    subject: `TNSMP - Complaint ${complaint.ticketId} Status Update: ${newStatus}`,
+    subject: t.statusSubject(complaint.ticketId, status),
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
-        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <h2 style="color: #1a237e; text-align: center;">${t.portalName}</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">${t.hello(userName)}</p>
+        <p>${t.statusUpdated}</p>
+        <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          <p><strong>${t.ticketId}:</strong> ${complaint.ticketId}</p>
+          <p><strong>${t.newStatus}:</strong> ${statusEmoji[newStatus] || ''} <strong>${status}</strong></p>
+          ${note ? `<p><strong>${t.note}:</strong> ${note}</p>` : ''}
+          ${complaint.assignedToName ? `<p><strong>${t.handledBy}:</strong> ${complaint.assignedToName}</p>` : ''}${photosHtml}
+        </div>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">${t.checkStatus}</a>
+        </div>
+        <p style="font-size: 14px; color: #666;">${t.viewDetails}</p>
         <hr style="border: 1px solid #e0e0e0;">
-        <p style="font-size: 16px; color: #333;">Hello <strong>${userName}</strong>,</p>
-        <p>Your complaint status has been updated:</p>
+        <p style="font-size: 12px; color: #999; text-align: center;">${t.footer}</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'Status Update');
+};
+
+// Notify a participant of a new comment on a complaint
+const sendNewComment = async (email, name, complaint, comment) => {
+  const t = EMAIL_TEXT[await recipientLanguage(email)];
+  const text = comment.text.length > 500 ? comment.text.substring(0, 500) + '...' : comment.text;
+
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: t.commentSubject(comment.internal, complaint.ticketId),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #1a237e; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">${t.portalName}</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #333;">${t.hello(name)}</p>
+        <p>${t.commented(comment.authorName, t.roles[comment.authorRole] || comment.authorRole, complaint.ticketId)}</p>
         <div style="background: #e8eaf6; padding: 15px; border-radius: 8px; margin: 15px 0;">
+          ${text ? `<p style="white-space: pre-wrap;">${text}</p>` : ''}
+          ${comment.attachments?.length ? `<p><em>${t.imagesAttached(comment.attachments.length)}</em></p>` : ''}
+        </div>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">${t.replyButton}</a>
+        </div>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 12px; color: #999; text-align: center;">${t.footer}</p>
+      </div>
+    `
+  };
+
+  await safeSendMail(mailOptions, 'New Comment');
+};
+
+// Alert provider / management that a complaint has breached its SLA
+// `to` may be a single address or an array; breach is { type: 'accept' | 'complete', dueAt }
+const sendSlaBreachAlert = async (to, complaint, breach) => {
+  const action = breach.type === 'accept' ? 'accepted' : 'completed';
+
+  const mailOptions = {
+    from: `"TNSMP Portal" <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `TNSMP - SLA Breach: ${complaint.ticketId} not ${action} in time`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; border: 2px solid #c62828; border-radius: 10px;">
+        <h2 style="color: #1a237e; text-align: center;">Tamil Nadu Service Management Portal</h2>
+        <hr style="border: 1px solid #e0e0e0;">
+        <p style="font-size: 16px; color: #c62828;"><strong>⏰ SLA breached</strong></p>
+        <p>The following complaint was not ${action} within its service-level target.</p>
+        <div style="background: #ffebee; padding: 15px; border-radius: 8px; margin: 15px 0;">
           <p><strong>Ticket ID:</strong> ${complaint.ticketId}</p>
-          <p><strong>New Status:</strong> ${statusEmoji[newStatus] || ''} <strong>${newStatus}</strong></p>
-          ${note ? `<p><strong>Note:</strong> ${note}</p>` : ''}
-          ${complaint.assignedToName ? `<p><strong>Handled by:</strong> ${complaint.assignedToName}</p>` : ''}
+          <p><strong>Department:</strong> ${complaint.department}</p>
+          <p><strong>Area:</strong> ${complaint.area}</p>
+          <p><strong>Priority:</strong> ${complaint.priority}</p>
+          <p><strong>Current Status:</strong> ${complaint.status}</p>
+          <p><strong>Due By:</strong> ${new Date(breach.dueAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</p>
+          ${complaint.assignedToName ? `<p><strong>Assigned To:</strong> ${complaint.assignedToName}</p>` : '<p><strong>Assigned To:</strong> Unassigned</p>'}
         </div>
         <div style="text-align: center; margin: 20px 0;">
-          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">Check Status</a>
+          <a href="${PORTAL_URL}/login" style="display: inline-block; background: #1a237e; color: #fff; padding: 12px 30px; border-radius: 6px; text-decoration: none; font-weight: bold;">View in Portal</a>
         </div>
-        <p style="font-size: 14px; color: #666;">Log in to the TNSMP portal to view full details.</p>
+        <p style="font-size: 14px; color: #666;">Please take action on this complaint as soon as possible.</p>
         <hr style="border: 1px solid #e0e0e0;">
         <p style="font-size: 12px; color: #999; text-align: center;">© 2026 TNSMP - Government of Tamil Nadu</p>
       </div>
     `
   };
 
-  await safeSendMail(mailOptions, 'Status Update');
+  await safeSendMail(mailOptions, 'SLA Breach Alert');
 };
 
-module.exports = { sendOTP, sendProviderCredentials, sendComplaintAssignment, sendStatusUpdate };
+module.exports = {
+  sendOTP,
+  sendProviderCredentials,
+  sendComplaintAssignment,
+  sendComplaintWithdrawn,
+  sendTransferRequest,
+  sendDepartmentChangeRequest,
+  sendAssignmentDigest,
+  sendComplaintConfirmation,
+  sendStatusUpdate,
+  sendNewComment,
+  sendSlaBreachAlert
+};
@@ -0,0 +1,122 @@
+const mm = require('music-metadata');
+const { saveImage, saveFile, removeFile } = require('./storage');
+
+// ============================================================
+// COMPLAINT MEDIA — extra photos, voice notes and short video clips
+// ============================================================
+const LIMITS = {
+  photos: parseInt(process.env.MAX_COMPLAINT_PHOTOS, 10) || 5,
+  photoBytes: (parseInt(process.env.MAX_PHOTO_MB, 10) || 10) * 1024 * 1024,
+  voiceBytes: (parseInt(process.env.MAX_VOICE_NOTE_MB, 10) || 5) * 1024 * 1024,
+  voiceSeconds: parseInt(process.env.MAX_VOICE_NOTE_SECONDS, 10) || 120,
+  videoBytes: (parseInt(process.env.MAX_VIDEO_MB, 10) || 25) * 1024 * 1024,
+  videoSeconds: parseInt(process.env.MAX_VIDEO_SECONDS, 10) || 30
+};
+
+// Container signatures. What the client claims (file name, Content-Type) is never trusted.
+const SIGNATURES = [
+  { type: 'audio/mpeg', ext: 'mp3', kinds: ['voice'], test: b => b.slice(0, 3).toString('latin1') === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { type: 'audio/ogg', ext: 'ogg', kinds: ['voice'], test: b => b.slice(0, 4).toString('latin1') === 'OggS' },
+  { type: 'audio/wav', ext: 'wav', kinds: ['voice'], test: b => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WAVE' },
+  { type: 'audio/amr', ext: 'amr', kinds: ['voice'], test: b => b.slice(0, 5).toString('latin1') === '#!AMR' },
+  // Matroska/WebM — browsers record both voice (audio-only) and video this way
+  { type: 'video/webm', ext: 'webm', kinds: ['voice', 'video'], test: b => b.readUInt32BE(0) === 0x1a45dfa3 },
+  // ISO base media (MP4, M4A, 3GP, MOV): "ftyp" box at offset 4
+  { type: 'video/mp4', ext: 'mp4', kinds: ['voice', 'video'], test: b => b.slice(4, 8).toString('latin1') === 'ftyp' }
+];
+
+function mediaError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_MEDIA';
+  return err;
+}
+
+function sniff(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return SIGNATURES.find(s => s.test(buffer)) || null;
+}
+
+// Audio/video length in seconds, read from the container headers
+async function getDuration(buffer, contentType) {
+  try {
+    const metadata = await mm.parseBuffer(buffer, { mimeType: contentType }, { duration: true, skipCovers: true });
+    return metadata.format.duration || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check an uploaded voice note or video clip: real audio/video content, within the
+ * size and duration limits. Returns { buffer, contentType, ext, duration, originalName }.
+ * Throws an error with code 'INVALID_MEDIA' describing what is wrong.
+ */
+async function inspectMedia(file, kind) {
+  const label = kind === 'voice' ? 'Voice note' : 'Video';
+  const maxBytes = kind === 'voice' ? LIMITS.voiceBytes : LIMITS.videoBytes;
+  const maxSeconds = kind === 'voice' ? LIMITS.voiceSeconds : LIMITS.videoSeconds;
+
+  if (file.buffer.length > maxBytes) {
+    throw mediaError(`${label} is too large (max ${Math.round(maxBytes / 1024 / 1024)} MB)`);
+  }
+  const signature = sniff(file.buffer);
+  if (!signature || !signature.kinds.includes(kind)) {
+    throw mediaError(`${label} format is not supported`);
+  }
+
+  // A voice note in an MP4/WebM container is audio
+  const contentType = kind === 'voice' && signature.type.startsWith('video/') ? signature.type.replace('video/', 'audio/') : signature.type;
+  const ext = kind === 'voice' && signature.ext === 'mp4' ? 'm4a' : signature.ext;
+
+  const duration = await getDuration(file.buffer, contentType);
+  if (duration === null) {
+    throw mediaError(`${label} could not be read. Please record it again.`);
+  }
+  if (duration > maxSeconds) {
+    throw mediaError(`${label} is too long (max ${maxSeconds} seconds)`);
+  }
+
+  return { buffer: file.buffer, contentType, ext, duration: Math.round(duration * 10) / 10, originalName: file.originalname };
+}
+
+/**
+ * Validate the media uploaded with a complaint before any of it is stored.
+ * `media` is { photos: [Buffer], voiceNote: file, video: file } (multer files for the last two).
+ */
+async function inspectComplaintMedia(media = {}) {
+  const photos = media.photos || [];
+  if (photos.length > LIMITS.photos) throw mediaError(`At most ${LIMITS.photos} photos can be attached`);
+  if (photos.some(p => p.length > LIMITS.photoBytes)) {
+    throw mediaError(`Photos must be at most ${Math.round(LIMITS.photoBytes / 1024 / 1024)} MB each`);
+  }
+
+  return {
+    photos,
+    voiceNote: media.voiceNote ? await inspectMedia(media.voiceNote, 'voice') : null,
+    video: media.video ? await inspectMedia(media.video, 'video') : null
+  };
+}
+
+/**
+ * Store inspected media. Returns attachment entries for complaint.attachments; on
+ * failure removes whatever was already written and rethrows.
+ */
+async function storeComplaintMedia({ photos, voiceNote, video }) {
+  const stored = [];
+  try {
+    for (const photo of photos) {
+      stored.push({ ...await saveImage(photo, { folder: 'complaints' }), kind: 'photo', uploadedAt: new Date() });
+    }
+    for (const [kind, item] of [['voice', voiceNote], ['video', video]]) {
+      if (!item) continue;
+      const file = await saveFile(item.buffer, { folder: kind === 'voice' ? 'voice-notes' : 'videos', ext: item.ext, contentType: item.contentType });
+      stored.push({ ...file, kind, duration: item.duration, originalName: item.originalName, uploadedAt: new Date() });
+    }
+  } catch (err) {
+    for (const file of stored) await removeFile(file);
+    throw err;
+  }
+  return stored;
+}
+
+module.exports = { MEDIA_LIMITS: LIMITS, inspectComplaintMedia, storeComplaintMedia };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { buildComplaintFilter } = require('./complaintQuery');
+const { csvCell, write, lastStatusAt } = require('./export');
+const { geohashBounds } = require('./geo');
+
+// ============================================================
+// OPEN DATA — anonymized complaint records for publication
+// ============================================================
+// Nothing that identifies a citizen or a member of staff is ever published: no names,
+// emails, phone numbers, photos, addresses, tracking codes or staff assignments.
+// Locations are coarsened to a geohash cell, dates to the day, and only tickets
+// older than OPEN_DATA_DELAY_DAYS are released.
+const DELAY_DAYS = parseInt(process.env.OPEN_DATA_DELAY_DAYS, 10) || 30;
+// Never finer than ~600 m cells, whatever the configuration says
+const GEOHASH_PRECISION = Math.min(Math.max(parseInt(process.env.OPEN_DATA_GEOHASH_PRECISION, 10) || 5, 3), 6);
+const ID_SECRET = process.env.OPEN_DATA_ID_SECRET || process.env.JWT_SECRET || 'tnsmp-open-data';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Phone numbers and email addresses citizens sometimes type into descriptions
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+const PHONE_PATTERN = /(?:\+?91[\s-]?)?\b\d(?:[\s-]?\d){9}\b/g;
+
+function redactText(text) {
+  return (text || '').replace(EMAIL_PATTERN, '[email removed]').replace(PHONE_PATTERN, '[phone removed]');
+}
+
+function istDate(date) {
+  if (!date) return '';
+  return new Date(new Date(date).getTime() + 330 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Stable, non-reversible record id — ticket IDs would lead back to the public tracking page
+function publicId(complaint) {
+  return crypto.createHmac('sha256', ID_SECRET).update(String(complaint._id)).digest('hex').slice(0, 16);
+}
+
+function coarseCell(complaint) {
+  return complaint.geohash ? complaint.geohash.slice(0, GEOHASH_PRECISION) : null;
+}
+
+// Centre of the coarse cell, never the complaint's own position
+function cellCentre(complaint) {
+  const cell = coarseCell(complaint);
+  if (!cell) return null;
+  const [minLng, minLat, maxLng, maxLat] = geohashBounds(cell);
+  return [Math.round(((minLng + maxLng) / 2) * 1000) / 1000, Math.round(((minLat + maxLat) / 2) * 1000) / 1000];
+}
+
+function resolutionDays(complaint) {
+  if (complaint.status !== 'Completed') return '';
+  const completedAt = lastStatusAt(complaint, 'Completed');
+  return completedAt ? Math.round(((new Date(completedAt) - new Date(complaint.createdAt)) / DAY_MS) * 10) / 10 : '';
+}
+
+// Every field that may be published, in output order
+const FIELDS = {
+  id: publicId,
+  department: c => c.department,
+  status: c => c.status,
+  priority: c => c.priority,
+  district: c => c.district || '',
+  area: c => c.area || '',
+  geohash: c => coarseCell(c) || '',
+  latitude: c => cellCentre(c)?.[1] ?? '',
+  longitude: c => cellCentre(c)?.[0] ?? '',
+  createdDate: c => istDate(c.createdAt),
+  completedDate: c => (c.status === 'Completed' ? istDate(lastStatusAt(c, 'Completed')) : ''),
+  resolutionDays,
+  rating: c => c.rating ?? '',
+  description: c => redactText(c.description)
+};
+
+const DEFAULT_FIELDS = ['id', 'department', 'status', 'priority', 'district', 'geohash', 'createdDate', 'completedDate', 'resolutionDays'];
+
+// OPEN_DATA_FIELDS (comma-separated) is the whitelist the open-data team signed off on
+const PUBLISHED_FIELDS = (() => {
+  if (!process.env.OPEN_DATA_FIELDS) return DEFAULT_FIELDS;
+  const configured = process.env.OPEN_DATA_FIELDS.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = configured.filter(f => !FIELDS[f]);
+  if (unknown.length) console.warn(`[OpenData] Ignoring unknown OPEN_DATA_FIELDS: ${unknown.join(', ')}`);
+  const known = configured.filter(f => FIELDS[f]);
+  return known.length ? known : DEFAULT_FIELDS;
+})();
+
+// Only what the published fields are computed from is ever loaded
+const OPEN_DATA_SELECT = 'department status priority district area geohash createdAt rating description statusHistory.status statusHistory.timestamp';
+
+/**
+ * Fields for a request: the ?fields= subset of the published whitelist, or all of it.
+ */
+function resolveFields(requested) {
+  if (!requested) return PUBLISHED_FIELDS;
+  const wanted = String(requested).split(',').map(f => f.trim());
+  const fields = PUBLISHED_FIELDS.filter(f => wanted.includes(f));
+  return fields.length ? fields : PUBLISHED_FIELDS;
+}
+
+/**
+ * Mongo filter for publishable complaints. Filters: department, status, priority,
+ * district, districtId, talukId, wardId, from, to (createdAt). Tickets newer than the
+ * delay are never included.
+ */
+function buildOpenDataFilter(query = {}) {
+  const { department, status, priority, district, districtId, talukId, wardId, from, to } = query;
+  const filter = buildComplaintFilter({ department, status, priority, district, districtId, talukId, wardId, from, to });
+
+  const cutoff = publishedUntil();
+  filter.createdAt = { ...filter.createdAt, $lte: filter.createdAt?.$lte && filter.createdAt.$lte < cutoff ? filter.createdAt.$lte : cutoff };
+  // Merged tickets are duplicates of a published one; fake submissions never became tickets
+  if (!filter.status) filter.status = { $ne: 'Merged' };
+  return filter;
+}
+
+function publishedUntil() {
+  return new Date(Date.now() - DELAY_DAYS * DAY_MS);
+}
+
+function toRecord(complaint, fields) {
+  const record = {};
+  for (const field of fields) record[field] = FIELDS[field](complaint);
+  return record;
+}
+
+function toFeature(complaint, fields) {
+  const centre = cellCentre(complaint);
+  return {
+    type: 'Feature',
+    geometry: centre ? { type: 'Point', coordinates: centre } : null,
+    properties: toRecord(complaint, fields.filter(f => f !== 'latitude' && f !== 'longitude'))
+  };
+}
+
+async function streamOpenDataCsv(cursor, res, fields, filename) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  await write(res, '\uFEFF' + fields.map(csvCell).join(',') + '\r\n');
+  for await (const complaint of cursor) {
+    const record = toRecord(complaint, fields);
+    await write(res, fields.map(f => csvCell(record[f])).join(',') + '\r\n');
+  }
+  res.end();
+}
+
+async function streamOpenDataGeoJson(cursor, res, fields, filename) {
+  res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  await write(res, '{"type":"FeatureCollection","features":[');
+  let first = true;
+  for await (const complaint of cursor) {
+    await write(res, (first ? '\n' : ',\n') + JSON.stringify(toFeature(complaint, fields)));
+    first = false;
+  }
+  await write(res, '\n]}\n');
+  res.end();
+}
+
+function describeDataset() {
+  return {
+    delayDays: DELAY_DAYS,
+    publishedUntil: publishedUntil(),
+    geohashPrecision: GEOHASH_PRECISION,
+    fields: PUBLISHED_FIELDS,
+    filters: ['department', 'status', 'priority', 'district', 'districtId', 'talukId', 'wardId', 'from', 'to'],
+    formats: ['json', 'csv', 'geojson']
+  };
+}
+
+module.exports = {
+  OPEN_DATA_SELECT,
+  resolveFields,
+  buildOpenDataFilter,
+  toRecord,
+  streamOpenDataCsv,
+  streamOpenDataGeoJson,
+  describeDataset
+};
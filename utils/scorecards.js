@@ -0,0 +1,231 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { buildComplaintFilter } = require('./complaintQuery');
+const { ACTIVE_STATUSES } = require('./workflow');
+
+// ============================================================
+// PROVIDER SCORECARDS — from status history and citizen ratings
+// ============================================================
+// Each provider is credited with the accept / reject / complete entries they wrote in the
+// period. Acceptance delay runs from when the complaint last started waiting (registered,
+// reopened, handed back) to the acceptance; completion time from acceptance to completion.
+// A completion counts as reopened when the citizen reopens the complaint afterwards, and
+// ratings go to whoever completed the complaint the citizen rated.
+const DEFAULT_PERIOD_DAYS = 90;
+const LOW_RATING = 2; // Ratings at or below this are quoted as feedback excerpts
+const MAX_EXCERPTS = 5;
+const EXCERPT_LENGTH = 200;
+// Providers with fewer completions than this in the period are not ranked
+const MIN_COMPLETED_FOR_RANK = parseInt(process.env.SCORECARD_MIN_COMPLETED, 10) || 3;
+
+// Composite score (0–100) used for ranking within a department
+const SCORE_WEIGHTS = { sla: 0.4, rating: 0.3, reopen: 0.15, rejection: 0.15 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function hours(ms) {
+  return ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+function pct(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function emptyTally() {
+  return {
+    accepted: 0, rejected: 0, completed: 0, reopened: 0,
+    acceptDelays: [], completeTimes: [],
+    acceptOnTime: 0, acceptMeasured: 0, completeOnTime: 0, completeMeasured: 0,
+    ratings: [], lowRatings: []
+  };
+}
+
+function addRating(tally, complaint, rating, feedback, at) {
+  tally.ratings.push(rating);
+  if (rating <= LOW_RATING && feedback) {
+    tally.lowRatings.push({
+      ticketId: complaint.ticketId,
+      rating,
+      feedback: feedback.length > EXCERPT_LENGTH ? feedback.substring(0, EXCERPT_LENGTH) + '...' : feedback,
+      at
+    });
+  }
+}
+
+// Walk one complaint's history, crediting the providers being scored
+function tallyComplaint(complaint, tallies, from, to) {
+  const inPeriod = ts => ts >= from && ts <= to;
+  let waitingSince = new Date(complaint.createdAt);
+  let acceptedAt = null;
+  let lastCompletion = null; // { tally, at } — who gets a later reopen or rating
+
+  for (const entry of complaint.statusHistory || []) {
+    const at = new Date(entry.timestamp);
+    const tally = entry.updatedBy ? tallies.get(String(entry.updatedBy)) : null;
+    const credited = tally && inPeriod(at);
+
+    switch (entry.status) {
+      case 'Registered':
+        waitingSince = at;
+        acceptedAt = null;
+        break;
+      case 'Reopened':
+        if (lastCompletion) {
+          lastCompletion.tally.reopened++;
+          // The citizen's rating of the first attempt is kept on the reopen entry
+          if (entry.previousRating) addRating(lastCompletion.tally, complaint, entry.previousRating, entry.previousFeedback, at);
+          lastCompletion = null;
+        }
+        waitingSince = at;
+        acceptedAt = null;
+        break;
+      case 'Accepted':
+        acceptedAt = at;
+        if (!credited) break;
+        tally.accepted++;
+        tally.acceptDelays.push(at - waitingSince);
+        if (complaint.sla?.acceptBy) {
+          tally.acceptMeasured++;
+          if (at <= new Date(complaint.sla.acceptBy)) tally.acceptOnTime++;
+        }
+        break;
+      case 'Rejected':
+        if (credited) tally.rejected++;
+        break;
+      case 'Completed':
+        lastCompletion = credited ? { tally, at } : null;
+        if (!credited) break;
+        tally.completed++;
+        tally.completeTimes.push(at - (acceptedAt || waitingSince));
+        if (complaint.sla?.completeBy) {
+          tally.completeMeasured++;
+          if (at <= new Date(complaint.sla.completeBy)) tally.completeOnTime++;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (lastCompletion && complaint.rating) {
+    addRating(lastCompletion.tally, complaint, complaint.rating, complaint.feedback, complaint.updatedAt);
+  }
+}
+
+function toScorecard(provider, tally, activeCount) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const r of tally.ratings) distribution[r] = (distribution[r] || 0) + 1;
+  const avgRating = average(tally.ratings);
+
+  const sla = {
+    acceptOnTimePct: pct(tally.acceptOnTime, tally.acceptMeasured),
+    completeOnTimePct: pct(tally.completeOnTime, tally.completeMeasured),
+    acceptMeasured: tally.acceptMeasured,
+    completeMeasured: tally.completeMeasured
+  };
+  const reopenRate = pct(tally.reopened, tally.completed);
+  const rejectionRate = pct(tally.rejected, tally.accepted + tally.rejected);
+
+  // Missing measures count as neutral (50%) rather than perfect or zero
+  const slaPct = average([sla.acceptOnTimePct, sla.completeOnTimePct].filter(v => v !== null));
+  const score = Math.round(
+    SCORE_WEIGHTS.sla * (slaPct ?? 50) +
+    SCORE_WEIGHTS.rating * (avgRating !== null ? ((avgRating - 1) / 4) * 100 : 50) +
+    SCORE_WEIGHTS.reopen * (reopenRate !== null ? 100 - reopenRate : 50) +
+    SCORE_WEIGHTS.rejection * (rejectionRate !== null ? 100 - rejectionRate : 50)
+  );
+
+  return {
+    providerId: provider._id,
+    name: provider.name,
+    email: provider.email,
+    department: provider.department,
+    active: activeCount,
+    accepted: tally.accepted,
+    rejected: tally.rejected,
+    completed: tally.completed,
+    reopened: tally.reopened,
+    avgAcceptHours: hours(average(tally.acceptDelays)),
+    avgCompleteHours: hours(average(tally.completeTimes)),
+    sla,
+    reopenRate,
+    rejectionRate,
+    ratings: {
+      average: avgRating !== null ? Math.round(avgRating * 10) / 10 : null,
+      count: tally.ratings.length,
+      distribution
+    },
+    lowRatingFeedback: tally.lowRatings.sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, MAX_EXCERPTS),
+    score,
+    rank: null,
+    rankOf: null
+  };
+}
+
+// Rank providers with enough completions within each department, best score first
+function rankWithinDepartments(cards) {
+  const byDepartment = {};
+  for (const card of cards) {
+    if (card.completed < MIN_COMPLETED_FOR_RANK) continue;
+    (byDepartment[card.department] = byDepartment[card.department] || []).push(card);
+  }
+  for (const ranked of Object.values(byDepartment)) {
+    ranked.sort((a, b) => b.score - a.score || b.completed - a.completed);
+    ranked.forEach((card, i) => {
+      card.rank = i + 1;
+      card.rankOf = ranked.length;
+    });
+  }
+}
+
+/**
+ * Scorecards for providers over a period. Options:
+ *   department — only providers of this department
+ *   from, to   — period (default: the last 90 days)
+ *   districtId, talukId, wardId — only complaints in these administrative areas
+ * Ranks are always computed against the provider's whole department.
+ * Returns { from, to, minCompletedForRank, scoreWeights, scorecards } sorted by department, then rank.
+ */
+async function buildScorecards({ department, from: fromRaw, to: toRaw, districtId, talukId, wardId } = {}) {
+  const range = buildComplaintFilter({ from: fromRaw, to: toRaw }).createdAt || {};
+  const to = range.$lte || new Date();
+  const from = range.$gte || new Date(to.getTime() - DEFAULT_PERIOD_DAYS * 24 * HOUR_MS);
+
+  const providerFilter = { role: 'provider' };
+  if (department) providerFilter.department = department;
+  const providers = await User.find(providerFilter).select('name email department').lean();
+  if (!providers.length) return { from, to, minCompletedForRank: MIN_COMPLETED_FOR_RANK, scoreWeights: SCORE_WEIGHTS, scorecards: [] };
+
+  const ids = providers.map(p => p._id);
+  const areaFilter = buildComplaintFilter({ districtId, talukId, wardId });
+  const tallies = new Map(providers.map(p => [String(p._id), emptyTally()]));
+
+  const [complaints, activeCounts] = await Promise.all([
+    Complaint.find({ ...areaFilter, statusHistory: { $elemMatch: { updatedBy: { $in: ids }, timestamp: { $gte: from, $lte: to } } } })
+      .select('ticketId createdAt updatedAt sla rating feedback statusHistory.status statusHistory.timestamp statusHistory.updatedBy statusHistory.previousRating statusHistory.previousFeedback')
+      .lean(),
+    Complaint.aggregate([
+      { $match: { ...areaFilter, assignedTo: { $in: ids }, status: { $in: ACTIVE_STATUSES } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  for (const complaint of complaints) tallyComplaint(complaint, tallies, from, to);
+
+  const active = new Map(activeCounts.map(a => [String(a._id), a.count]));
+  const scorecards = providers.map(p => toScorecard(p, tallies.get(String(p._id)), active.get(String(p._id)) || 0));
+  rankWithinDepartments(scorecards);
+  scorecards.sort((a, b) =>
+    (a.department || '').localeCompare(b.department || '') ||
+    (a.rank ?? Infinity) - (b.rank ?? Infinity) ||
+    b.completed - a.completed
+  );
+
+  return { from, to, minCompletedForRank: MIN_COMPLETED_FOR_RANK, scoreWeights: SCORE_WEIGHTS, scorecards };
+}
+
+module.exports = { buildScorecards };
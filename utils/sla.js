@@ -0,0 +1,58 @@
+const { getDepartment } = require('./departments');
+
+// ============================================================
+// SLA TARGETS — hours allowed to accept and to complete a complaint
+// ============================================================
+// Defaults by priority; each department's `sla` in the registry (utils/departments.js)
+// overrides individual cells. Both can be overridden at deploy time with SLA_CONFIG,
+// a JSON object of the form
+//   { "*": { "High": { "accept": 8 } }, "Electricity": { "Critical": { "accept": 1, "complete": 8 } } }
+const DEFAULT_SLA_HOURS = {
+  Critical: { accept: 4, complete: 24 },
+  High: { accept: 12, complete: 72 },
+  Medium: { accept: 24, complete: 168 },
+  Low: { accept: 72, complete: 336 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Parse SLA_CONFIG once; a malformed value is logged and ignored
+let configOverrides = {};
+if (process.env.SLA_CONFIG) {
+  try {
+    configOverrides = JSON.parse(process.env.SLA_CONFIG);
+    console.log('[SLA] Using SLA_CONFIG overrides from environment');
+  } catch (err) {
+    console.warn('[SLA] Failed to parse SLA_CONFIG env var:', err.message);
+  }
+}
+
+/**
+ * Resolve SLA targets (in hours) for a department × priority pair.
+ * Returns { acceptHours, completeHours }
+ */
+function getSlaTargets(department, priority) {
+  const layers = [
+    DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.Medium,
+    getDepartment(department)?.sla?.[priority],
+    configOverrides['*']?.[priority],
+    configOverrides[department]?.[priority]
+  ];
+
+  const merged = Object.assign({}, ...layers.filter(Boolean));
+  return { acceptHours: merged.accept, completeHours: merged.complete };
+}
+
+/**
+ * Compute due dates for a complaint starting from `from` (usually createdAt).
+ */
+function computeSlaDueDates(department, priority, from = new Date()) {
+  const { acceptHours, completeHours } = getSlaTargets(department, priority);
+  const start = new Date(from).getTime();
+  return {
+    acceptBy: new Date(start + acceptHours * HOUR_MS),
+    completeBy: new Date(start + completeHours * HOUR_MS)
+  };
+}
+
+module.exports = { DEFAULT_SLA_HOURS, getSlaTargets, computeSlaDueDates };
@@ -0,0 +1,117 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { computeSlaDueDates, getSlaTargets } = require('./sla');
+const { getDepartment } = require('./departments');
+const { sendSlaBreachAlert } = require('./mailer');
+const { ACTIVE_STATUSES, AWAITING_ACCEPTANCE_STATUSES } = require('./workflow');
+
+// ============================================================
+// SLA ESCALATION SCHEDULER
+// ============================================================
+const CHECK_INTERVAL_MS = (parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Stamp due dates on open complaints created before SLA tracking existed
+async function backfillMissingSla() {
+  const missing = await Complaint.find({ status: { $in: ACTIVE_STATUSES }, 'sla.acceptBy': { $exists: false } })
+    .select('department priority createdAt')
+    .lean();
+
+  for (const c of missing) {
+    await Complaint.updateOne(
+      { _id: c._id },
+      { $set: { sla: computeSlaDueDates(c.department, c.priority, c.createdAt) } }
+    );
+  }
+  if (missing.length) console.log(`[SLA] Backfilled due dates on ${missing.length} open complaint(s)`);
+}
+
+// Email the assigned provider, all management users and the department's contacts about a breach
+async function notifyBreach(complaint, breach) {
+  const [provider, managers] = await Promise.all([
+    complaint.assignedTo ? User.findById(complaint.assignedTo).select('email').lean() : null,
+    User.find({ role: 'management' }).select('email').lean()
+  ]);
+
+  const contacts = getDepartment(complaint.department)?.contactEmails || [];
+  const recipients = [...new Set([provider?.email, ...managers.map(m => m.email), ...contacts].filter(Boolean))];
+  for (const to of recipients) {
+    try {
+      await sendSlaBreachAlert(to, complaint, breach);
+    } catch (emailErr) {
+      console.error(`[SLA] Failed to send breach alert to ${to}:`, emailErr.message);
+    }
+  }
+}
+
+/**
+ * Flag one kind of breach. Each complaint is claimed with a conditional update so
+ * that two server instances running the scheduler never flag (or email) it twice.
+ */
+async function flagBreaches(type, now) {
+  const dueField = type === 'accept' ? 'sla.acceptBy' : 'sla.completeBy';
+  const breachField = type === 'accept' ? 'sla.acceptBreachedAt' : 'sla.completeBreachedAt';
+  const statuses = type === 'accept' ? AWAITING_ACCEPTANCE_STATUSES : ACTIVE_STATUSES;
+
+  const candidates = await Complaint.find({
+    status: { $in: statuses },
+    [dueField]: { $lt: now },
+    [breachField]: null
+  }).select('status department priority').lean();
+
+  let flagged = 0;
+  for (const { _id, status, department, priority } of candidates) {
+    const { acceptHours, completeHours } = getSlaTargets(department, priority);
+    const note = type === 'accept'
+      ? `SLA breached: not accepted within ${acceptHours}h — escalated to management`
+      : `SLA breached: not completed within ${completeHours}h — escalated to management`;
+
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id, status, [breachField]: null },
+      {
+        $set: { [breachField]: now },
+        $push: { statusHistory: { status, timestamp: now, updatedByName: 'System', note } }
+      },
+      { new: true, projection: { photo: 0 } }
+    );
+    if (!complaint) continue;
+
+    const dueAt = type === 'accept' ? complaint.sla.acceptBy : complaint.sla.completeBy;
+    console.log(`[SLA] ${complaint.ticketId} breached ${type} SLA (due ${dueAt.toISOString()})`);
+    await notifyBreach(complaint, { type, dueAt });
+    flagged++;
+  }
+  return flagged;
+}
+
+async function checkSlaBreaches() {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+    await backfillMissingSla();
+    const accept = await flagBreaches('accept', now);
+    const complete = await flagBreaches('complete', now);
+    if (accept || complete) console.log(`[SLA] Flagged ${accept} acceptance and ${complete} completion breach(es)`);
+  } catch (err) {
+    console.error('[SLA] Scheduler run failed:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+function startSlaScheduler() {
+  if (timer) return;
+  console.log(`[SLA] Scheduler started, checking every ${CHECK_INTERVAL_MS / 60000} minute(s)`);
+  checkSlaBreaches();
+  timer = setInterval(checkSlaBreaches, CHECK_INTERVAL_MS);
+}
+
+function stopSlaScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { startSlaScheduler, stopSlaScheduler, checkSlaBreaches };
@@ -0,0 +1,172 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// ============================================================
+// FILE STORAGE — pluggable backend for complaint photos and attachments
+// ============================================================
+// STORAGE_BACKEND=local (default) writes under ./uploads, which server.js serves at /uploads.
+// STORAGE_BACKEND=s3 writes to any S3-compatible bucket (AWS, MinIO, Cloudflare R2, ...).
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const THUMBNAIL_WIDTH = 320;
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'heif', 'gif']; // never SVG — it would be served as active content
+
+function createLocalBackend() {
+  const baseUrl = (process.env.UPLOADS_BASE_URL || '/uploads').replace(/\/$/, '');
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = path.join(UPLOADS_DIR, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async remove(key) {
+      await fs.rm(path.join(UPLOADS_DIR, key), { force: true });
+    },
+    urlFor(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+}
+
+function createS3Backend() {
+  // Required lazily so local deployments don't pay for loading the AWS SDK
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  const endpoint = process.env.S3_ENDPOINT;
+  if (!bucket) throw new Error('S3_BUCKET must be set when STORAGE_BACKEND=s3');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'auto',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!endpoint, // MinIO and most self-hosted stores need path-style URLs
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const publicBase = (process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    urlFor(key) {
+      return `${publicBase}/${key}`;
+    }
+  };
+}
+
+let backend;
+function getBackend() {
+  if (!backend) {
+    backend = process.env.STORAGE_BACKEND === 's3' ? createS3Backend() : createLocalBackend();
+    console.log(`[Storage] Using ${backend.name} storage backend`);
+  }
+  return backend;
+}
+
+// ---------- HELPERS ----------
+
+// Accept a Buffer, a raw base64 string or a "data:image/jpeg;base64,..." URI
+function toBuffer(input) {
+  if (Buffer.isBuffer(input)) return input;
+  if (typeof input !== 'string' || !input) throw new Error('No file data provided');
+  const base64 = input.includes(',') ? input.split(',')[1] : input;
+  return Buffer.from(base64, 'base64');
+}
+
+// e.g. complaints/2026/10/3f9c...e1.jpg
+function generateKey(folder, ext) {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  return `${folder}/${now.getFullYear()}/${month}/${crypto.randomBytes(12).toString('hex')}.${ext}`;
+}
+
+// Legacy complaints kept the full base64 image in the document itself
+function isInlineImage(value) {
+  return typeof value === 'string' && !!value && !/^(https?:)?\//.test(value);
+}
+
+/**
+ * Store an image plus a generated JPEG thumbnail.
+ * Returns the reference saved on documents:
+ *   { backend, key, url, thumbnailKey, thumbnailUrl, contentType, size, width, height }
+ */
+async function saveImage(input, { folder = 'complaints' } = {}) {
+  const buffer = toBuffer(input);
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+    if (!IMAGE_FORMATS.includes(metadata.format)) throw new Error(`Unsupported format ${metadata.format}`);
+  } catch (err) {
+    const invalid = new Error('Invalid image data');
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+
+  const ext = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  const contentType = `image/${metadata.format}`;
+  const thumbnail = await sharp(buffer)
+    .rotate() // honour EXIF orientation from phone cameras
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  const store = getBackend();
+  const key = generateKey(folder, ext);
+  const thumbnailKey = key.replace(/\.[^.]+$/, '_thumb.jpg');
+
+  await store.put(key, buffer, contentType);
+  await store.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+  return {
+    backend: store.name,
+    key,
+    url: store.urlFor(key),
+    thumbnailKey,
+    thumbnailUrl: store.urlFor(thumbnailKey),
+    contentType,
+    size: buffer.length,
+    width: metadata.width,
+    height: metadata.height
+  };
+}
+
+/**
+ * Store a non-image file (voice note, video) as-is. The caller has already checked
+ * its type. Returns { backend, key, url, contentType, size }
+ */
+async function saveFile(buffer, { folder, ext, contentType }) {
+  const store = getBackend();
+  const key = generateKey(folder, ext);
+  await store.put(key, buffer, contentType);
+  return { backend: store.name, key, url: store.urlFor(key), contentType, size: buffer.length };
+}
+
+/**
+ * Remove a stored file reference (and its thumbnail). Never throws — a stale
+ * file is preferable to failing the request that is cleaning up.
+ */
+async function removeFile(ref) {
+  if (!ref?.key) return;
+  const store = getBackend();
+  for (const key of [ref.key, ref.thumbnailKey].filter(Boolean)) {
+    try {
+      await store.remove(key);
+    } catch (err) {
+      console.warn(`[Storage] Failed to remove ${key}:`, err.message);
+    }
+  }
+}
+
+module.exports = { saveImage, saveFile, removeFile, isInlineImage, toBuffer };
@@ -0,0 +1,97 @@
+const Complaint = require('../models/Complaint');
+const Counter = require('../models/Counter');
+const AdminArea = require('../models/AdminArea');
+const { TN_DISTRICTS, findDistrict } = require('./geo');
+
+// ============================================================
+// TICKET IDS — TNSMP-<district>-<year>-<sequence>, e.g. TNSMP-CHN-2026-000123
+// ============================================================
+// Each district has its own yearly sequence in the counters collection, incremented
+// atomically so two complaints registered at the same moment never share a number.
+const PREFIX = 'TNSMP';
+const UNKNOWN_DISTRICT_CODE = 'TN';
+const SEQUENCE_DIGITS = 6;
+const MAX_SAVE_ATTEMPTS = 5;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const CODE_PATTERN = /^[A-Z\d]+$/;
+
+// Tickets are numbered by the Indian calendar year, not the server's UTC year
+function istYear(date = new Date()) {
+  return Number(new Intl.DateTimeFormat('en-IN', { timeZone: 'Asia/Kolkata', year: 'numeric' }).format(date));
+}
+
+// The registry's code for the complaint's resolved district (GPS or text), else the code
+// for the district named in its area text
+async function districtCode({ area, district, adminArea }) {
+  if (adminArea?.district) {
+    const registered = await AdminArea.findById(adminArea.district).select('code').lean();
+    if (CODE_PATTERN.test(registered?.code || '')) return registered.code;
+  }
+  return TN_DISTRICTS[district || findDistrict(area)] || UNKNOWN_DISTRICT_CODE;
+}
+
+async function nextSequence(name) {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+    return counter.seq;
+  } catch (err) {
+    // Two first-of-the-year upserts can race on the insert; the loser simply increments
+    if (err.code !== 11000) throw err;
+    const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true }).lean();
+    return counter.seq;
+  }
+}
+
+/**
+ * Allocate the next ticket ID for a complaint — { area, district, adminArea } are used
+ * to find its district.
+ */
+async function generateTicketId(complaint, date = new Date()) {
+  const code = await districtCode(complaint);
+  const year = istYear(date);
+  const seq = await nextSequence(`ticket:${code}:${year}`);
+  return `${PREFIX}-${code}-${year}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+function isTicketIdConflict(err) {
+  return err?.code === 11000 && !!(err.keyPattern?.ticketId || /ticketId/.test(err.message));
+}
+
+/**
+ * Save a new complaint, allocating its ticket ID. Should the ID already be taken
+ * (a counter restored from an old backup, say) a fresh one is allocated and the save retried.
+ */
+async function saveWithTicketId(complaint) {
+  for (let attempt = 1; ; attempt++) {
+    complaint.ticketId = await generateTicketId(complaint, complaint.createdAt);
+    try {
+      return await complaint.save();
+    } catch (err) {
+      if (!isTicketIdConflict(err) || attempt >= MAX_SAVE_ATTEMPTS) throw err;
+      console.warn(`[TicketId] ${complaint.ticketId} already taken, retrying (attempt ${attempt})`);
+    }
+  }
+}
+
+// Filter matching a complaint by ObjectId or by ticket ID — routes accept either
+function complaintRefFilter(ref) {
+  const value = String(ref || '').trim();
+  return OBJECT_ID_PATTERN.test(value) ? { _id: value } : { ticketId: value.toUpperCase() };
+}
+
+// Complaint.findById that also accepts a ticket ID; returns a query, so .select()/.lean() chain as usual
+function findComplaintByRef(ref) {
+  return Complaint.findOne(complaintRefFilter(ref));
+}
+
+module.exports = {
+  generateTicketId,
+  saveWithTicketId,
+  complaintRefFilter,
+  findComplaintByRef
+};
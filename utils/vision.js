@@ -2,6 +2,7 @@ const vision = require('@google-cloud/vision');
 const path = require('path');
 const fs = require('fs');
 const OpenAI = require('openai');
+const { FALLBACK_DEPARTMENT, listDepartments } = require('./departments');
 
 // Initialize Vision client — prefer env var, fallback to key file
 let visionClientOptions = {};
@@ -38,119 +39,12 @@ const openrouter = new OpenAI({
 // ============================================================
 // DEPARTMENT MAPPING — keywords from Vision API labels → department
 // ============================================================
-const DEPARTMENT_KEYWORDS = {
-  'Water Resources': {
-    keywords: [
-      'water', 'pipe', 'pipeline', 'flood', 'flooding', 'drain', 'drainage',
-      'sewage', 'sewer', 'leak', 'leaking', 'plumbing', 'tap', 'faucet',
-      'water supply', 'borewell', 'well', 'tank', 'overhead tank', 'pump',
-      'waterlogging', 'stagnant water', 'canal', 'river', 'pond', 'reservoir',
-      'water contamination', 'dirty water', 'water body', 'puddle', 'swimming pool',
-      'moisture', 'wet', 'liquid', 'fluid', 'sprinkler', 'hydrant', 'valve',
-      'water pipe', 'water tank', 'water damage', 'water overflow'
-    ],
-    weight: 1.0
-  },
-  'Electricity': {
-    keywords: [
-      'electric', 'electricity', 'wire', 'wiring', 'cable', 'power line',
-      'transformer', 'pole', 'power pole', 'utility pole', 'streetlight',
-      'street light', 'lamp', 'lamp post', 'bulb', 'light', 'lighting',
-      'electric pole', 'power outage', 'blackout', 'short circuit',
-      'electrical', 'voltage', 'current', 'generator', 'inverter',
-      'circuit breaker', 'meter', 'electric meter', 'fuse', 'switch',
-      'overhead line', 'high tension', 'conductor', 'insulator',
-      'power grid', 'substation', 'energy', 'neon', 'fluorescent',
-      'led', 'electrical equipment', 'power supply', 'electric line'
-    ],
-    weight: 1.0
-  },
-  'Roads & Highways': {
-    keywords: [
-      'road', 'highway', 'pothole', 'crack', 'asphalt', 'pavement',
-      'footpath', 'sidewalk', 'bridge', 'flyover', 'overpass', 'underpass',
-      'speed breaker', 'speed bump', 'divider', 'median', 'curb',
-      'road damage', 'road construction', 'tar', 'concrete', 'gravel',
-      'lane', 'intersection', 'junction', 'roundabout', 'road sign',
-      'traffic sign', 'barricade', 'guardrail', 'railing', 'manhole',
-      'road surface', 'street', 'avenue', 'boulevard', 'path', 'trail',
-      'cobblestone', 'bitumen', 'roadwork', 'paving', 'road marking',
-      'zebra crossing', 'crosswalk', 'pedestrian', 'roadway', 'infrastructure'
-    ],
-    weight: 1.0
-  },
-  'Sanitation': {
-    keywords: [
-      'garbage', 'trash', 'waste', 'dump', 'litter', 'debris', 'rubbish',
-      'dustbin', 'bin', 'dumpster', 'compost', 'recycling', 'junk',
-      'pollution', 'dirty', 'filth', 'mess', 'unhygienic', 'unsanitary',
-      'toilet', 'restroom', 'latrine', 'sewage', 'sanitation',
-      'cleaning', 'sweeping', 'disposal', 'waste management',
-      'plastic', 'plastic waste', 'polythene', 'bottle', 'cans',
-      'food waste', 'organic waste', 'landfill', 'decomposition',
-      'stench', 'smell', 'odor', 'foul smell', 'rot', 'rotten',
-      'contamination', 'hazardous waste', 'biomedical waste'
-    ],
-    weight: 1.0
-  },
-  'Public Health': {
-    keywords: [
-      'hospital', 'clinic', 'medical', 'health', 'disease', 'infection',
-      'mosquito', 'pest', 'insect', 'rat', 'rodent', 'cockroach',
-      'dengue', 'malaria', 'epidemic', 'pandemic', 'vaccination',
-      'medicine', 'pharmacy', 'doctor', 'nurse', 'patient',
-      'ambulance', 'emergency', 'first aid', 'health hazard',
-      'contamination', 'polluted', 'toxic', 'chemical', 'smoke',
-      'air pollution', 'respiratory', 'safety', 'biohazard',
-      'stagnant', 'breeding ground', 'larvae', 'fly', 'flies',
-      'public health', 'hygiene', 'disinfection', 'sanitizer'
-    ],
-    weight: 1.0
-  },
-  'Education': {
-    keywords: [
-      'school', 'college', 'university', 'classroom', 'education',
-      'student', 'teacher', 'blackboard', 'whiteboard', 'desk',
-      'chair', 'bench', 'library', 'book', 'notebook', 'stationery',
-      'playground', 'campus', 'laboratory', 'computer lab',
-      'hostel', 'canteen', 'auditorium', 'sports', 'academic',
-      'tuition', 'exam', 'scholarship', 'learning'
-    ],
-    weight: 0.8
-  },
-  'Transport': {
-    keywords: [
-      'bus', 'bus stop', 'bus stand', 'bus station', 'bus shelter',
-      'traffic', 'traffic light', 'traffic signal', 'traffic jam',
-      'vehicle', 'car', 'truck', 'auto', 'rickshaw', 'train',
-      'railway', 'metro', 'station', 'platform', 'parking',
-      'accident', 'collision', 'transport', 'transportation',
-      'commute', 'transit', 'route', 'highway', 'signal',
-      'pedestrian crossing', 'overloaded', 'public transport'
-    ],
-    weight: 0.9
-  },
-  'Revenue': {
-    keywords: [
-      'land', 'property', 'boundary', 'survey', 'deed', 'title',
-      'encroachment', 'illegal construction', 'demolition',
-      'tax', 'revenue', 'registration', 'document', 'certificate',
-      'patta', 'chitta', 'adangal', 'land record', 'measurement'
-    ],
-    weight: 0.7
-  },
-  'Agriculture': {
-    keywords: [
-      'farm', 'crop', 'field', 'agriculture', 'farming', 'harvest',
-      'irrigation', 'fertilizer', 'pesticide', 'soil', 'seed',
-      'tractor', 'plowing', 'cattle', 'livestock', 'poultry',
-      'paddy', 'rice', 'wheat', 'vegetable', 'fruit', 'garden',
-      'horticulture', 'plantation', 'orchard', 'greenhouse',
-      'drought', 'pest attack', 'crop damage', 'agricultural land'
-    ],
-    weight: 0.8
-  }
-};
+// Keywords and weights are kept per department in the registry (utils/departments.js)
+function departmentKeywords() {
+  return listDepartments()
+    .filter(d => d.visionKeywords?.length)
+    .map(d => [d.name, { keywords: d.visionKeywords, weight: d.visionWeight ?? 1 }]);
+}
 
 /**
  * Analyze an image using Google Cloud Vision API.
@@ -227,7 +121,7 @@ async function analyzeImageViaOpenRouter(base64Image) {
   }
 
   const VISION_MODELS = ['openai/gpt-4o-mini', 'google/gemini-2.0-flash-001'];
-  const deptList = Object.keys(DEPARTMENT_KEYWORDS).join(', ');
+  const deptList = listDepartments().map(d => d.name).filter(name => name !== FALLBACK_DEPARTMENT).join(', ');
 
   for (const model of VISION_MODELS) {
     try {
@@ -244,7 +138,7 @@ Analyze this image of a civic issue/complaint and determine:
 1. What objects, issues, or problems are visible in the image
 2. Which government department should handle this complaint
 
-Available departments: ${deptList}, General
+Available departments: ${deptList}, ${FALLBACK_DEPARTMENT}
 
 Respond in this EXACT JSON format only (no markdown, no code blocks):
 {"labels": ["label1", "label2", "label3", "label4", "label5"], "department": "Department Name", "reason": "Brief explanation of why this department"}`
@@ -302,8 +196,7 @@ function mapToDepartment(visionResults) {
 
   // If OpenRouter vision model directly returned a department, validate and use it
   if (directDepartment && source === 'openrouter-vision') {
-    const validDepts = [...Object.keys(DEPARTMENT_KEYWORDS), 'General'];
-    const matched = validDepts.find(d => d.toLowerCase() === directDepartment.toLowerCase());
+    const matched = listDepartments().map(d => d.name).find(d => d.toLowerCase() === directDepartment.toLowerCase());
     if (matched) {
       return {
         department: matched,
@@ -327,7 +220,7 @@ function mapToDepartment(visionResults) {
   const scores = {};
   const matchedKeywords = {};
 
-  for (const [department, config] of Object.entries(DEPARTMENT_KEYWORDS)) {
+  for (const [department, config] of departmentKeywords()) {
     scores[department] = 0;
     matchedKeywords[department] = [];
 
@@ -414,4 +307,27 @@ async function detectDepartmentFromImage(base64Image) {
   }
 }
 
-module.exports = { analyzeImage, mapToDepartment, detectDepartmentFromImage };
+const PLAUSIBILITY_MIN_CONFIDENCE = 50;
+
+/**
+ * Plausibility check for a photo that is supposed to show a given department's issue
+ * (e.g. a provider's proof-of-work photo). Only a confident match to a *different*
+ * department counts as implausible — unknown or low-confidence results pass.
+ * Returns { plausible, detectedDepartment, confidence }
+ */
+async function checkImagePlausibility(base64Image, expectedDepartment) {
+  const result = await detectDepartmentFromImage(base64Image);
+  const conflicting = !result.error &&
+    expectedDepartment !== 'General' &&
+    result.department !== 'General' &&
+    result.department !== expectedDepartment &&
+    result.confidence >= PLAUSIBILITY_MIN_CONFIDENCE;
+
+  return {
+    plausible: !conflicting,
+    detectedDepartment: result.department,
+    confidence: result.confidence
+  };
+}
+
+module.exports = { analyzeImage, mapToDepartment, detectDepartmentFromImage, checkImagePlausibility };
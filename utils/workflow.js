@@ -0,0 +1,253 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { computeSlaDueDates } = require('./sla');
+const { sendStatusUpdate, sendComplaintAssignment, sendComplaintWithdrawn } = require('./mailer');
+
+// ============================================================
+// COMPLAINT WORKFLOW — shared status groups and provider routing
+// ============================================================
+// Statuses in which a complaint still needs work (and counts towards a provider's load)
+const ACTIVE_STATUSES = ['Registered', 'Reopened', 'Accepted', 'Working On'];
+// Statuses in which a complaint is waiting for a provider to accept it
+const AWAITING_ACCEPTANCE_STATUSES = ['Registered', 'Reopened'];
+
+const PRIORITY_LADDER = ['Low', 'Medium', 'High', 'Critical'];
+// Each follower count threshold crossed raises priority by one level
+const ENDORSEMENT_PRIORITY_STEPS = (process.env.ENDORSEMENT_PRIORITY_STEPS || '3,10,25')
+  .split(',').map(n => parseInt(n, 10)).filter(Number.isFinite);
+
+// Load-balanced provider assignment: find the least-loaded free provider in a department.
+// `exclude` is an optional list of provider ids that must not be chosen.
+async function assignProviderForDepartment(department, { exclude = [] } = {}) {
+  try {
+    const excluded = exclude.map(id => id.toString());
+    const providers = (await User.find({ role: 'provider', department }).select('_id name email').lean())
+      .filter(p => !excluded.includes(p._id.toString()));
+    if (!providers.length) {
+      console.log(`[LoadBalance] No providers found for department: ${department}`);
+      return null;
+    }
+
+    // Single aggregation to get active counts per provider in this department
+    const loadAgg = await Complaint.aggregate([
+      { $match: { assignedTo: { $in: providers.map(p => p._id) }, status: { $in: ACTIVE_STATUSES } } },
+      { $group: { _id: '$assignedTo', activeCount: { $sum: 1 } } }
+    ]);
+
+    const loadMap = {};
+    for (const item of loadAgg) loadMap[item._id.toString()] = item.activeCount;
+
+    const providerLoads = providers.map(p => ({ ...p, activeCount: loadMap[p._id.toString()] || 0 }));
+    providerLoads.sort((a, b) => a.activeCount - b.activeCount);
+
+    const freeProvider = providerLoads.find(p => p.activeCount === 0);
+    const chosen = freeProvider || providerLoads[0];
+
+    console.log(`[LoadBalance] ${department}: ${providerLoads.map(p => `${p.name}(${p.activeCount})`).join(', ')} → ${chosen.name}`);
+    return chosen;
+  } catch (err) {
+    console.error('[LoadBalance] Error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Point a complaint at a provider — or at nobody, when none is available — and record
+ * it in assignmentHistory (not saved). `by` is the user making the change; omit it for
+ * automatic routing. Returns false when the complaint already sits with that provider.
+ */
+function assignComplaint(complaint, provider, { method = 'auto', by, reason } = {}) {
+  const current = complaint.assignedTo?.toString() || null;
+  if (current === (provider ? provider._id.toString() : null)) return false;
+
+  complaint.assignedTo = provider ? provider._id : undefined;
+  complaint.assignedToName = provider ? provider.name : undefined;
+  complaint.transferRequest = undefined;
+  complaint.assignmentHistory.push({
+    providerId: provider?._id,
+    providerName: provider?.name,
+    method,
+    assignedBy: by?.id,
+    assignedByName: by?.name,
+    reason,
+    assignedAt: new Date()
+  });
+  return true;
+}
+
+// Drop pending transfer and department change requests (not saved) — called whenever a
+// complaint leaves ACTIVE_STATUSES, so nobody can approve work that is no longer open
+function clearPendingRequests(complaint) {
+  complaint.transferRequest = undefined;
+  complaint.departmentChangeRequest = undefined;
+}
+
+/**
+ * Move a complaint to another department and re-route it through that department's
+ * load balancer (not saved). Ticket ID and history are kept; the move is recorded in
+ * departmentHistory. The receiving department has to accept the work afresh, and its
+ * SLA clock starts now. Returns { provider, previousProviderId, note }
+ */
+async function applyDepartmentChange(complaint, toDepartment, { via, reason, requestedByName, by }) {
+  const fromDepartment = complaint.department;
+  const previousProviderId = complaint.assignedTo || null;
+  const provider = await assignProviderForDepartment(toDepartment);
+  const now = new Date();
+
+  complaint.department = toDepartment;
+  complaint.departmentChangeRequest = undefined;
+  complaint.departmentHistory.push({
+    fromDepartment,
+    toDepartment,
+    via,
+    reason,
+    requestedByName,
+    approvedBy: by?.id,
+    approvedByName: by?.name,
+    changedAt: now
+  });
+  assignComplaint(complaint, provider, { method: via === 'management' ? 'management' : 'auto', by, reason: `Moved to ${toDepartment}` });
+  if (!AWAITING_ACCEPTANCE_STATUSES.includes(complaint.status)) complaint.status = 'Registered';
+  complaint.sla = computeSlaDueDates(toDepartment, complaint.priority, now);
+  complaint.updatedAt = now;
+
+  // Who approved it and who took it over are in departmentHistory and assignmentHistory;
+  // statusHistory notes reach the public tracker, so they name no staff
+  const note = `Moved from ${fromDepartment} to ${toDepartment}${reason ? `: ${reason}` : ''}` +
+    (provider ? ' — assigned to a service provider' : ' — awaiting assignment');
+  complaint.statusHistory.push({
+    status: complaint.status,
+    timestamp: now,
+    updatedBy: by?.id,
+    updatedByName: by?.name || 'System',
+    note
+  });
+
+  return { provider, previousProviderId, note };
+}
+
+/**
+ * Approve or decline a provider's pending department change request, then save and
+ * notify. Used by both management and the receiving department. Returns the history note.
+ */
+async function resolveDepartmentChange(complaint, approve, by, declineReason) {
+  const request = complaint.departmentChangeRequest;
+
+  if (!approve) {
+    // The decliner is recorded as the entry's updatedBy, not in the public note
+    const note = `Move to ${request.toDepartment} declined${declineReason ? `: ${declineReason}` : ''}`;
+    complaint.departmentChangeRequest = undefined;
+    complaint.updatedAt = new Date();
+    complaint.statusHistory.push({ status: complaint.status, timestamp: new Date(), updatedBy: by.id, updatedByName: by.name, note });
+    await complaint.save();
+    return note;
+  }
+
+  const { provider, previousProviderId, note } = await applyDepartmentChange(complaint, request.toDepartment, {
+    via: 'provider-request',
+    reason: request.reason,
+    requestedByName: request.requestedByName,
+    by
+  });
+  await complaint.save();
+  console.log(`[Department] ${complaint.ticketId} moved ${request.fromDepartment} → ${request.toDepartment}`);
+
+  await notifyReassignment(complaint, previousProviderId, provider, `Moved to ${request.toDepartment}`);
+  await notifyStatusChange(complaint, complaint.status, `Your complaint has been moved to the ${request.toDepartment} department`);
+  return note;
+}
+
+// Email the new assignee the complaint details, and tell the previous one it left their queue
+async function notifyReassignment(complaint, previousProviderId, newProvider, reason) {
+  if (newProvider?.email) {
+    try {
+      await sendComplaintAssignment(newProvider.email, newProvider.name, complaint);
+    } catch (emailErr) {
+      console.error('[Email] Failed to send assignment notification:', emailErr.message);
+    }
+  }
+
+  if (!previousProviderId || previousProviderId.toString() === newProvider?._id.toString()) return;
+  const previous = await User.findById(previousProviderId).select('name email').lean();
+  if (!previous) return;
+  try {
+    await sendComplaintWithdrawn(previous.email, previous.name, complaint, reason);
+  } catch (emailErr) {
+    console.error('[Email] Failed to notify previous provider:', emailErr.message);
+  }
+}
+
+// Email a status change to the citizen who filed the complaint and to everyone following it
+async function notifyStatusChange(complaint, status, note, photos = []) {
+  const recipients = new Map([[complaint.userEmail, complaint.userName]]);
+  for (const f of complaint.followers || []) {
+    if (!recipients.has(f.email)) recipients.set(f.email, f.name);
+  }
+
+  for (const [email, name] of recipients) {
+    try {
+      await sendStatusUpdate(email, name, complaint, status, note, photos);
+      console.log(`[Email] Status update sent to ${email} for ${complaint.ticketId}`);
+    } catch (emailErr) {
+      console.error(`[Email] Failed to send status update to ${email}:`, emailErr.message);
+    }
+  }
+}
+
+/**
+ * Add a follower to a parent complaint (not saved). Returns false when the citizen
+ * already filed or follows it. Raises priority when the follower count crosses a
+ * step in ENDORSEMENT_PRIORITY_STEPS, re-stamping SLA due dates to match.
+ */
+function addFollower(parent, follower) {
+  const userId = follower.userId.toString();
+  if (parent.userId.toString() === userId) return false;
+  if (parent.followers.some(f => f.userId.toString() === userId)) return false;
+
+  const before = parent.endorsementCount || 0;
+  parent.followers.push({ ...follower, addedAt: new Date() });
+  parent.endorsementCount = before + 1;
+
+  const crossed = ENDORSEMENT_PRIORITY_STEPS.filter(t => before < t && parent.endorsementCount >= t).length;
+  const current = PRIORITY_LADDER.indexOf(parent.priority);
+  const raised = PRIORITY_LADDER[Math.min(current + crossed, PRIORITY_LADDER.length - 1)];
+  if (crossed && raised !== parent.priority) {
+    parent.statusHistory.push({
+      status: parent.status,
+      timestamp: new Date(),
+      updatedByName: 'System',
+      note: `Priority raised from ${parent.priority} to ${raised} — ${parent.endorsementCount} citizens reported this issue`
+    });
+    parent.priority = raised;
+    if (ACTIVE_STATUSES.includes(parent.status)) {
+      const dueDates = computeSlaDueDates(parent.department, raised, parent.createdAt);
+      parent.set('sla.acceptBy', dueDates.acceptBy);
+      parent.set('sla.completeBy', dueDates.completeBy);
+    }
+  }
+  return true;
+}
+
+// Remove the followers a merged duplicate brought to its parent (not saved)
+function removeFollowersFrom(parent, ticketId) {
+  if (!ticketId) return 0;
+  const before = parent.followers.length;
+  parent.followers = parent.followers.filter(f => f.ticketId !== ticketId);
+  const removed = before - parent.followers.length;
+  parent.endorsementCount = Math.max((parent.endorsementCount || 0) - removed, 0);
+  return removed;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  AWAITING_ACCEPTANCE_STATUSES,
+  assignProviderForDepartment,
+  assignComplaint,
+  clearPendingRequests,
+  applyDepartmentChange,
+  resolveDepartmentChange,
+  notifyReassignment,
+  notifyStatusChange,
+  addFollower,
+  removeFollowersFrom
+};